@@ -1,4 +1,4 @@
-import Queue from '../src/index.js';
+import Queue, { UnrecoverableError } from '../src/index.js';
 
 async function apiWorkerExample() {
   console.log('🌐 API Worker Queue Example');
@@ -67,8 +67,8 @@ async function apiWorkerExample() {
       // Network timeout (retryable)
       throw new Error(`Network timeout for ${url}`);
     } else {
-      // Client error (not retryable, but we'll retry anyway for demo)
-      throw new Error(`HTTP 404: Not Found - ${url}`);
+      // Client error (not retryable, fails the task right away)
+      throw new UnrecoverableError(`HTTP 404: Not Found - ${url}`);
     }
   }
 
@@ -92,7 +92,10 @@ async function apiWorkerExample() {
         responseTime: `${Math.floor(Math.random() * 800 + 200)}ms`,
       };
     } catch (error) {
-      // Add context to the error
+      // Add context to the error, keeping non-retryable errors non-retryable
+      if (error instanceof UnrecoverableError) {
+        throw new UnrecoverableError(`API call failed: ${error.message}`);
+      }
       throw new Error(`API call failed: ${error.message}`);
     }
   };
@@ -0,0 +1,77 @@
+/**
+ * Built-in backoff strategies for retry delays, each based on the retry policy's baseRetryDelay.
+ * - 'exponential': baseRetryDelay * 2^(attempt - 1)
+ * - 'linear': baseRetryDelay * attempt
+ * - 'fixed': baseRetryDelay for every retry
+ * - 'decorrelated-jitter': random between baseRetryDelay and three times the previous delay
+ */
+const BACKOFF_STRATEGIES = [
+  'exponential',
+  'linear',
+  'fixed',
+  'decorrelated-jitter',
+];
+
+/**
+ * Validates a backoff option.
+ * @param {string|Function} backoff - Name of a built-in strategy or a custom (attempt, error, task) => ms function
+ * @returns {string|Function} The backoff
+ * @throws {Error} When backoff is neither a known strategy nor a function
+ */
+function normalizeBackoff(backoff) {
+  if (typeof backoff !== 'function' && !BACKOFF_STRATEGIES.includes(backoff)) {
+    throw new Error(
+      `Invalid backoff: ${backoff} (expected a function or one of ${BACKOFF_STRATEGIES.join(', ')})`
+    );
+  }
+  return backoff;
+}
+
+/**
+ * Computes the delay before the next attempt of a failed task.
+ * @param {Object} policy - Retry policy
+ * @param {string|Function} policy.backoff - Backoff strategy, see normalizeBackoff()
+ * @param {number} policy.baseRetryDelay - Base delay in milliseconds
+ * @param {number|null} policy.maxRetryDelay - Upper bound for the delay in milliseconds, or null for none
+ * @param {boolean} policy.jitter - Whether to randomize exponential, linear and fixed delays to 50-100%
+ * @param {number} attempt - Number of the retry being scheduled, starting at 1
+ * @param {Error} error - The error the attempt failed with
+ * @param {Object} task - The task row; retry_delay_ms holds the previous delay, if any
+ * @returns {number} Delay in whole milliseconds
+ * @throws {Error} When a custom backoff function does not return a non-negative number
+ */
+function computeRetryDelay(policy, attempt, error, task) {
+  const { backoff, baseRetryDelay, maxRetryDelay, jitter } = policy;
+
+  let delay;
+  if (typeof backoff === 'function') {
+    delay = backoff(attempt, error, task);
+    if (!Number.isFinite(delay) || delay < 0) {
+      throw new Error(
+        `Backoff function must return a non-negative number of milliseconds, got ${delay}`
+      );
+    }
+  } else if (backoff === 'decorrelated-jitter') {
+    const previous = task.retry_delay_ms ?? baseRetryDelay;
+    const upper = Math.max(baseRetryDelay, previous * 3);
+    delay = baseRetryDelay + Math.random() * (upper - baseRetryDelay);
+  } else {
+    if (backoff === 'exponential') {
+      delay = baseRetryDelay * Math.pow(2, attempt - 1);
+    } else if (backoff === 'linear') {
+      delay = baseRetryDelay * attempt;
+    } else {
+      delay = baseRetryDelay;
+    }
+    if (jitter) {
+      delay *= 0.5 + Math.random() * 0.5;
+    }
+  }
+
+  if (maxRetryDelay !== null) {
+    delay = Math.min(delay, maxRetryDelay);
+  }
+  return Math.floor(delay);
+}
+
+export { BACKOFF_STRATEGIES, normalizeBackoff, computeRetryDelay };
@@ -1,5 +1,238 @@
 import BetterSqlite3 from 'better-sqlite3';
 
+/**
+ * Columns added to the queue table after its initial release, in the order they were introduced.
+ * Existing database files are upgraded in place by adding whichever of these are missing.
+ * @type {Array<[string, string]>}
+ */
+const QUEUE_COLUMN_MIGRATIONS = [
+  ['worker_id', 'TEXT DEFAULT NULL'],
+  ['lease_expires_at', 'DATETIME DEFAULT NULL'],
+  ['priority', 'INTEGER DEFAULT 0'],
+  ['run_at', 'DATETIME DEFAULT NULL'],
+  ['type', 'TEXT DEFAULT NULL'],
+  ['result', 'TEXT DEFAULT NULL'],
+  ['error_message', 'TEXT DEFAULT NULL'],
+  ['error_name', 'TEXT DEFAULT NULL'],
+  ['error_stack', 'TEXT DEFAULT NULL'],
+  ['started_at', 'DATETIME DEFAULT NULL'],
+  ['finished_at', 'DATETIME DEFAULT NULL'],
+  ['timeout_ms', 'INTEGER DEFAULT NULL'],
+  ['progress', 'REAL DEFAULT NULL'],
+  ['progress_data', 'TEXT DEFAULT NULL'],
+  ['unique_key', 'TEXT DEFAULT NULL'],
+  ['unique_for', 'TEXT DEFAULT NULL'],
+  ['unique_until', 'DATETIME DEFAULT NULL'],
+  ['debounce_key', 'TEXT DEFAULT NULL'],
+  ['group_key', 'TEXT DEFAULT NULL'],
+  ['retry_delay_ms', 'INTEGER DEFAULT NULL'],
+];
+
+/**
+ * Maximum number of prepared statements kept per connection. Queries with a variable number of
+ * placeholders produce many distinct SQL strings, so the least recently used ones are evicted.
+ */
+const MAX_CACHED_STATEMENTS = 200;
+
+/**
+ * SQL condition matching tasks that are ready to be picked up by a worker.
+ * Binds the current time twice: once for scheduled tasks and once for retries.
+ */
+const READY_CONDITION = `(
+  (status = 'pending' AND (run_at IS NULL OR run_at <= ?))
+  OR (status = 'failed' AND next_retry_at <= ?)
+)`;
+
+/**
+ * Prefix of the rate limit buckets kept per group key.
+ */
+const GROUP_RATE_LIMIT_PREFIX = 'group:';
+
+/**
+ * Builds the query selecting ready tasks in processing order. Tasks sharing a group key are taken
+ * strictly oldest first: pending and failed tasks of the group that are not ready yet, such as a
+ * task waiting for its retry, keep their place and hold back newer ones. A group admits only as
+ * many tasks as keep its processing tasks and those held places within groupConcurrency and, with
+ * a group rate limit, within what the group's current window still admits. Ungrouped tasks are
+ * selected separately so that the per-group numbering only covers grouped tasks.
+ * @param {string} columns - Columns of the queue table to select
+ * @param {Object} options - Query options
+ * @param {string} options.currentTime - Current time in ISO format
+ * @param {{sql: string, params: Array}} options.order - ORDER BY expression as built by readyOrder()
+ * @param {string|null} [options.type] - Only select tasks of this type (null for untyped tasks); any type when omitted
+ * @param {number} [options.groupConcurrency=1] - Maximum number of processing tasks per group key
+ * @param {{max: number, duration: number}|null} [options.groupRateLimit=null] - Rate limit applied to each group key
+ * @param {number} options.limit - Maximum number of tasks to select
+ * @returns {{sql: string, params: Array}} The query and its parameters
+ */
+function readySelect(
+  columns,
+  {
+    currentTime,
+    order,
+    type,
+    groupConcurrency = 1,
+    groupRateLimit = null,
+    limit,
+  }
+) {
+  const typeFilter = type === undefined ? '' : 'AND type IS ?';
+  const typeParams = type === undefined ? [] : [type];
+  const now = new Date(currentTime).getTime();
+  const rateFilter = groupRateLimit
+    ? `AND group_position <= CASE
+          WHEN rate_limits.window_start IS NULL OR rate_limits.window_start + ? <= ? THEN ?
+          ELSE ? - rate_limits.count
+        END`
+    : '';
+  const rateParams = groupRateLimit
+    ? [groupRateLimit.duration, now, groupRateLimit.max, groupRateLimit.max]
+    : [];
+  return {
+    sql: `
+      WITH grouped AS (
+        SELECT id, group_key, priority, created_at, ${READY_CONDITION} AS ready,
+          ROW_NUMBER() OVER (PARTITION BY group_key ORDER BY created_at, id) AS group_position
+        FROM queue
+        WHERE group_key IS NOT NULL AND status IN ('pending', 'failed') ${typeFilter}
+      ),
+      group_running AS (
+        SELECT group_key AS running_group, COUNT(*) AS running_count
+        FROM queue
+        WHERE status = 'processing' AND group_key IS NOT NULL
+        GROUP BY group_key
+      )
+      SELECT ${columns} FROM queue
+      WHERE id IN (
+        SELECT id FROM (
+          SELECT id FROM queue
+          WHERE group_key IS NULL AND ${READY_CONDITION} ${typeFilter}
+          ORDER BY ${order.sql}
+          LIMIT ?
+        )
+        UNION ALL
+        SELECT id FROM (
+          SELECT id FROM grouped
+          LEFT JOIN group_running ON running_group = grouped.group_key
+          LEFT JOIN rate_limits ON rate_limits.key = '${GROUP_RATE_LIMIT_PREFIX}' || grouped.group_key
+          WHERE ready AND group_position + COALESCE(running_count, 0) <= ? ${rateFilter}
+          ORDER BY ${order.sql}
+          LIMIT ?
+        )
+      )
+      ORDER BY ${order.sql}
+      LIMIT ?
+    `,
+    params: [
+      currentTime,
+      currentTime,
+      ...typeParams,
+      currentTime,
+      currentTime,
+      ...typeParams,
+      ...order.params,
+      limit,
+      groupConcurrency,
+      ...rateParams,
+      ...order.params,
+      limit,
+      ...order.params,
+      limit,
+    ],
+  };
+}
+
+/**
+ * Statement inserting a single task, shared by insertTask() and insertTasks().
+ */
+const INSERT_TASK_SQL = `
+  INSERT INTO queue (
+    task_data, priority, run_at, type, timeout_ms, unique_key, unique_for, unique_until, debounce_key,
+    group_key
+  )
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+/**
+ * SET clause releasing a task's unique key once the task has finished. Keys held for a time window
+ * (unique_until set) stay in place until the window has passed.
+ */
+const RELEASE_UNIQUE_KEY =
+  'unique_key = CASE WHEN unique_until IS NULL THEN NULL ELSE unique_key END';
+
+/**
+ * Builds the parameters for INSERT_TASK_SQL.
+ * @param {string} taskData - JSON string representation of the task data
+ * @param {Object} options - Task options as accepted by Database#insertTask
+ * @returns {Array} The statement parameters
+ */
+function insertTaskParams(
+  taskData,
+  {
+    priority = 0,
+    runAt = null,
+    type = null,
+    timeout = null,
+    uniqueKey = null,
+    uniqueFor = null,
+    uniqueUntil = null,
+    debounceKey = null,
+    groupKey = null,
+  }
+) {
+  return [
+    taskData,
+    priority,
+    runAt,
+    type,
+    timeout,
+    uniqueKey,
+    uniqueFor,
+    uniqueUntil,
+    debounceKey,
+    groupKey,
+  ];
+}
+
+/**
+ * Builds the WHERE condition selecting dead tasks, optionally narrowed to specific IDs or a type.
+ * @param {Object} filter - Filter options
+ * @param {Array<number>} [filter.ids] - Only match these task IDs
+ * @param {string|null} [filter.type] - Only match tasks of this type (null for untyped tasks)
+ * @returns {{sql: string, params: Array}} The condition and its parameters
+ */
+function deadFilter({ ids, type }) {
+  const conditions = ["status = 'dead'"];
+  const params = [];
+  if (ids !== undefined) {
+    conditions.push(`id IN (${ids.map(() => '?').join(', ') || 'NULL'})`);
+    params.push(...ids);
+  }
+  if (type !== undefined) {
+    conditions.push('type IS ?');
+    params.push(type);
+  }
+  return { sql: conditions.join(' AND '), params };
+}
+
+/**
+ * Builds the ORDER BY expression used to pick ready tasks: highest priority first, oldest first
+ * within a priority. With aging, a task gains one priority point per agingInterval milliseconds
+ * it has existed, so low-priority work is not starved indefinitely.
+ * @param {string} currentTime - Current time in ISO format used to compute task age
+ * @param {number|null} [agingInterval=null] - Milliseconds per priority point gained while waiting, or null to disable aging
+ * @returns {{sql: string, params: Array}} The ORDER BY expression and its parameters
+ */
+function readyOrder(currentTime, agingInterval = null) {
+  if (!agingInterval) {
+    return { sql: 'priority DESC, created_at ASC, id ASC', params: [] };
+  }
+  return {
+    sql: `priority + (julianday(?) - julianday(created_at)) * 86400000.0 / ? DESC, created_at ASC, id ASC`,
+    params: [currentTime, agingInterval],
+  };
+}
+
 /**
  * Database class for managing SQLite operations for the queue system.
  * Provides a wrapper around better-sqlite3 with connection management and queue-specific operations.
@@ -13,6 +246,7 @@ class Database {
     this.dbPath = dbPath;
     this.db = null;
     this.initialized = false;
+    this.statements = new Map(); // SQL string -> prepared statement, in least recently used order
   }
 
   /**
@@ -36,6 +270,47 @@ class Database {
     return this.db;
   }
 
+  /**
+   * Returns a prepared statement for the given SQL, preparing it only on first use.
+   * @private
+   * @param {string} sql - The SQL statement
+   * @returns {BetterSqlite3.Statement} The prepared statement
+   * @throws {Error} When database connection is not available
+   */
+  _prepare(sql) {
+    const db = this._createConnection();
+    if (!db) {
+      throw new Error('Database connection not available');
+    }
+
+    let stmt = this.statements.get(sql);
+    if (stmt) {
+      // Move to the most recently used position
+      this.statements.delete(sql);
+    } else {
+      stmt = db.prepare(sql);
+      if (this.statements.size >= MAX_CACHED_STATEMENTS) {
+        this.statements.delete(this.statements.keys().next().value);
+      }
+    }
+    this.statements.set(sql, stmt);
+    return stmt;
+  }
+
+  /**
+   * Runs a function inside an immediate write transaction and returns its result. The transaction
+   * is committed when the function returns and rolled back when it throws. Calls nest, so methods
+   * that use their own transactions can be combined into one.
+   * @param {Function} fn - Function performing the database operations, must be synchronous
+   * @returns {*} The function's return value
+   * @throws {Error} When database connection is not available or the function throws
+   */
+  transaction(fn) {
+    // Create the schema up front so a rollback cannot undo it
+    this.initialize();
+    return this._createConnection().transaction(fn).immediate();
+  }
+
   /**
    * Executes a SQL statement that modifies the database (INSERT, UPDATE, DELETE).
    * @param {string} sql - The SQL statement to execute
@@ -44,11 +319,7 @@ class Database {
    * @throws {Error} When database connection is not available
    */
   run(sql, params = []) {
-    const db = this._createConnection();
-    if (!db) {
-      throw new Error('Database connection not available');
-    }
-    const stmt = db.prepare(sql);
+    const stmt = this._prepare(sql);
     const result = stmt.run(params);
     return { lastID: result.lastInsertRowid, changes: result.changes };
   }
@@ -61,11 +332,7 @@ class Database {
    * @throws {Error} When database connection is not available
    */
   get(sql, params = []) {
-    const db = this._createConnection();
-    if (!db) {
-      throw new Error('Database connection not available');
-    }
-    const stmt = db.prepare(sql);
+    const stmt = this._prepare(sql);
     const result = stmt.get(params);
     return result;
   }
@@ -78,11 +345,7 @@ class Database {
    * @throws {Error} When database connection is not available
    */
   all(sql, params = []) {
-    const db = this._createConnection();
-    if (!db) {
-      throw new Error('Database connection not available');
-    }
-    const stmt = db.prepare(sql);
+    const stmt = this._prepare(sql);
     const result = stmt.all(params);
     return result;
   }
@@ -110,62 +373,540 @@ class Database {
       )
     `);
 
+    this._migrateColumns();
+
+    // Before the dead state existed, exhausted tasks were left as failed without a retry time
+    this.run(
+      "UPDATE queue SET status = 'dead' WHERE status = 'failed' AND next_retry_at IS NULL"
+    );
+
     this.run('CREATE INDEX IF NOT EXISTS idx_status ON queue (status)');
     this.run(
       'CREATE INDEX IF NOT EXISTS idx_next_retry ON queue (next_retry_at)'
     );
+    this.run(
+      'CREATE INDEX IF NOT EXISTS idx_lease ON queue (status, lease_expires_at)'
+    );
+    this.run(
+      'CREATE INDEX IF NOT EXISTS idx_priority ON queue (priority DESC, created_at, id)'
+    );
+    this.run('CREATE INDEX IF NOT EXISTS idx_run_at ON queue (status, run_at)');
+    this.run('CREATE INDEX IF NOT EXISTS idx_type ON queue (type, status)');
+    this.run(
+      'CREATE INDEX IF NOT EXISTS idx_group ON queue (group_key, status)'
+    );
+    // Lets readySelect() number only the grouped tasks that are waiting or processing
+    this.run(
+      'CREATE INDEX IF NOT EXISTS idx_status_group ON queue (status, group_key)'
+    );
+    this.run(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_key ON queue (unique_key) WHERE unique_key IS NOT NULL'
+    );
+    this.run(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_debounce_key ON queue (debounce_key) WHERE debounce_key IS NOT NULL AND status = 'pending'"
+    );
+
+    this.run(`
+      CREATE TABLE IF NOT EXISTS task_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id INTEGER NOT NULL,
+        attempt INTEGER NOT NULL,
+        worker_id TEXT DEFAULT NULL,
+        started_at DATETIME DEFAULT NULL,
+        finished_at DATETIME DEFAULT NULL,
+        duration_ms INTEGER DEFAULT NULL,
+        outcome TEXT NOT NULL,
+        error_message TEXT DEFAULT NULL,
+        error_name TEXT DEFAULT NULL,
+        error_stack TEXT DEFAULT NULL
+      )
+    `);
+    this.run(
+      'CREATE INDEX IF NOT EXISTS idx_attempts_task ON task_attempts (task_id, attempt)'
+    );
+
+    this.run(`
+      CREATE TABLE IF NOT EXISTS task_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id INTEGER NOT NULL,
+        attempt INTEGER NOT NULL,
+        message TEXT NOT NULL,
+        created_at DATETIME NOT NULL
+      )
+    `);
+    this.run(
+      'CREATE INDEX IF NOT EXISTS idx_logs_task ON task_logs (task_id, id)'
+    );
+
+    this.run(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY,
+        window_start INTEGER NOT NULL,
+        count INTEGER NOT NULL
+      )
+    `);
+
+    this.run(`
+      CREATE TABLE IF NOT EXISTS pauses (
+        key TEXT PRIMARY KEY,
+        paused_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    this.run(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        name TEXT PRIMARY KEY,
+        pattern TEXT DEFAULT NULL,
+        every_ms INTEGER DEFAULT NULL,
+        timezone TEXT DEFAULT NULL,
+        task_data TEXT NOT NULL,
+        task_options TEXT DEFAULT NULL,
+        catch_up TEXT DEFAULT 'latest',
+        next_run_at DATETIME NOT NULL,
+        last_run_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
 
     this.initialized = true;
   }
 
+  /**
+   * Adds any columns from QUEUE_COLUMN_MIGRATIONS that are missing from the queue table.
+   * @private
+   * @returns {void}
+   */
+  _migrateColumns() {
+    const existing = new Set(
+      this.all('PRAGMA table_info(queue)').map((column) => column.name)
+    );
+    for (const [name, definition] of QUEUE_COLUMN_MIGRATIONS) {
+      if (!existing.has(name)) {
+        this.run(`ALTER TABLE queue ADD COLUMN ${name} ${definition}`);
+      }
+    }
+  }
+
   /**
    * Inserts a new task into the queue.
    * @param {string} taskData - JSON string representation of the task data
+   * @param {Object} [options={}] - Task options
+   * @param {number} [options.priority=0] - Task priority, higher values are processed first
+   * @param {string|null} [options.runAt=null] - ISO timestamp before which the task must not run, or null to run as soon as possible
+   * @param {string|null} [options.type=null] - Task type used to route the task to a handler, or null for the default handler
+   * @param {number|null} [options.timeout=null] - Per-task handler timeout in milliseconds, or null to use the handler's default
+   * @param {string|null} [options.uniqueKey=null] - Key no other unfinished task may hold at the same time
+   * @param {string|null} [options.uniqueFor=null] - 'pending' to release the key once the task is claimed, 'active' to release it once the task finished, or null for a time window
+   * @param {string|null} [options.uniqueUntil=null] - ISO timestamp until which the key is held, for time windows
+   * @param {string|null} [options.debounceKey=null] - Key under which later adds coalesce into this task while it is pending
+   * @param {string|null} [options.groupKey=null] - Group whose tasks are processed oldest first and at most groupConcurrency at a time
    * @returns {number} The ID of the newly inserted task
    */
-  insertTask(taskData) {
+  insertTask(taskData, options = {}) {
     this.initialize();
-    const result = this.run('INSERT INTO queue (task_data) VALUES (?)', [
-      taskData,
-    ]);
+    const result = this.run(
+      INSERT_TASK_SQL,
+      insertTaskParams(taskData, options)
+    );
     return result.lastID;
   }
 
   /**
-   * Retrieves pending tasks from the queue, including failed tasks ready for retry.
+   * Inserts a task unless another task currently holds its unique key. Keys whose time window has
+   * passed are released first.
+   * @param {string} taskData - JSON string representation of the task data
+   * @param {Object} options - Task options as accepted by insertTask(), including uniqueKey
+   * @param {string} [currentTime=new Date().toISOString()] - Current time in ISO format for window expiry
+   * @returns {{id: number, duplicate: boolean}} The ID of the inserted task, or of the task holding the key
+   */
+  insertUniqueTask(taskData, options, currentTime = new Date().toISOString()) {
+    return this.transaction(() => {
+      this.run(
+        `
+        UPDATE queue SET unique_key = NULL
+        WHERE unique_key = ? AND unique_until IS NOT NULL AND unique_until <= ?
+      `,
+        [options.uniqueKey, currentTime]
+      );
+
+      const existing = this.get('SELECT id FROM queue WHERE unique_key = ?', [
+        options.uniqueKey,
+      ]);
+      if (existing) {
+        return { id: existing.id, duplicate: true };
+      }
+      return { id: this.insertTask(taskData, options), duplicate: false };
+    });
+  }
+
+  /**
+   * Inserts a task unless a pending task with the same debounce key exists. In that case the
+   * existing task's run time is pushed out to the new runAt and its data replaced.
+   * @param {string} taskData - JSON string representation of the task data
+   * @param {Object} options - Task options as accepted by insertTask(), including debounceKey and runAt
+   * @param {Function|null} [mergeData=null] - Receives the pending task's JSON data and returns the JSON data to store; without it taskData replaces the pending data
+   * @returns {{id: number, debounced: boolean, taskData: string}} The ID of the inserted or debounced task and the data it now holds
+   */
+  insertDebouncedTask(taskData, options, mergeData = null) {
+    return this.transaction(() => {
+      const existing = this.get(
+        "SELECT id, task_data FROM queue WHERE debounce_key = ? AND status = 'pending'",
+        [options.debounceKey]
+      );
+      if (!existing) {
+        return {
+          id: this.insertTask(taskData, options),
+          debounced: false,
+          taskData,
+        };
+      }
+
+      const data = mergeData ? mergeData(existing.task_data) : taskData;
+      this.run(
+        `
+        UPDATE queue SET task_data = ?, run_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+        [data, options.runAt, existing.id]
+      );
+      return { id: existing.id, debounced: true, taskData: data };
+    });
+  }
+
+  /**
+   * Inserts many tasks in a single transaction, reusing one prepared statement for all rows.
+   * Either all tasks are inserted or, if any insert fails, none are.
+   * @param {Array<string>} tasksData - JSON string representations of the task data
+   * @param {Object} [options={}] - Task options applied to every task, as accepted by insertTask()
+   * @returns {Array<number>} The IDs of the inserted tasks, in input order
+   */
+  insertTasks(tasksData, options = {}) {
+    this.initialize();
+    const stmt = this._prepare(INSERT_TASK_SQL);
+    return this.transaction(() =>
+      tasksData.map(
+        (taskData) =>
+          stmt.run(insertTaskParams(taskData, options)).lastInsertRowid
+      )
+    );
+  }
+
+  /**
+   * Retrieves pending tasks from the queue, including failed tasks ready for retry. Grouped tasks are
+   * included as they would be claimed with a group concurrency of 1.
    * @param {number} [limit=5] - Maximum number of tasks to retrieve
    * @param {string} [currentTime=new Date().toISOString()] - Current time in ISO format for retry comparison
    * @returns {Array<Object>} Array of task objects ready for processing
    */
   getPendingTasks(limit = 5, currentTime = new Date().toISOString()) {
+    this.initialize();
+    const { sql, params } = readySelect('queue.*', {
+      currentTime,
+      order: readyOrder(currentTime),
+      limit,
+    });
+    return this.all(sql, params);
+  }
+
+  /**
+   * Atomically claims ready tasks for a worker by selecting them and marking them as processing
+   * within a single write transaction, so concurrent consumers of the same database file never
+   * receive the same task. Each claimed task carries a lease that expires at options.leaseExpiresAt.
+   * @param {string} workerId - Identifier of the worker claiming the tasks
+   * @param {number} [limit=5] - Maximum number of tasks to claim
+   * @param {Object} [options={}] - Claim options
+   * @param {string} [options.currentTime=new Date().toISOString()] - Current time in ISO format for retry comparison
+   * @param {string|null} [options.leaseExpiresAt=null] - ISO timestamp at which the claim lapses unless extended
+   * @param {number|null} [options.agingInterval=null] - Milliseconds per priority point a waiting task gains, or null to disable aging
+   * @param {string|null} [options.type] - Only claim tasks of this type (null for untyped tasks); claims any type when omitted
+   * @param {number} [options.groupConcurrency=1] - Maximum number of tasks with the same group key processing at once, across all workers
+   * @param {Array<{key: string, max: number, duration: number}>} [options.rateLimits=[]] - Rate limit buckets the claim counts against; at most max tasks start per duration milliseconds in each
+   * @param {{max: number, duration: number}|null} [options.groupRateLimit=null] - Rate limit applied to each group key separately
+   * @returns {Array<Object>} Array of claimed task objects in processing order
+   */
+  claimTasks(workerId, limit = 5, options = {}) {
+    const {
+      currentTime = new Date().toISOString(),
+      leaseExpiresAt = null,
+      agingInterval = null,
+      type,
+      groupConcurrency = 1,
+      rateLimits = [],
+      groupRateLimit = null,
+    } = options;
+    this.initialize();
+    const now = new Date(currentTime).getTime();
+    return this.transaction(() => {
+      const allowed = Math.min(
+        limit,
+        ...rateLimits.map((rateLimit) =>
+          this._rateLimitRemaining(rateLimit, now)
+        )
+      );
+      if (allowed <= 0) {
+        return [];
+      }
+
+      const { sql, params } = readySelect('id', {
+        currentTime,
+        order: readyOrder(currentTime, agingInterval),
+        type,
+        groupConcurrency,
+        groupRateLimit,
+        limit: allowed,
+      });
+      const ids = this.all(sql, params).map((row) => row.id);
+
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const claimed = this.all(
+        `
+        UPDATE queue
+        SET status = 'processing', worker_id = ?, lease_expires_at = ?, started_at = ?,
+            finished_at = NULL, progress = NULL, progress_data = NULL,
+            unique_key = CASE WHEN unique_for = 'pending' THEN NULL ELSE unique_key END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (${ids.map(() => '?').join(', ')})
+        RETURNING *
+      `,
+        [workerId, leaseExpiresAt, currentTime, ...ids]
+      );
+      for (const rateLimit of rateLimits) {
+        this._consumeRateLimit(rateLimit, claimed.length, now);
+      }
+      if (groupRateLimit) {
+        this._consumeGroupRateLimits(groupRateLimit, claimed, now);
+      }
+
+      const position = new Map(ids.map((id, index) => [id, index]));
+      return claimed.sort((a, b) => position.get(a.id) - position.get(b.id));
+    });
+  }
+
+  /**
+   * Returns how many more tasks a rate limit bucket admits in its current window.
+   * @private
+   * @param {{key: string, max: number, duration: number}} rateLimit - The bucket and its limit
+   * @param {number} now - Current time in milliseconds since the epoch
+   * @returns {number} Number of tasks that may still start
+   */
+  _rateLimitRemaining({ key, max, duration }, now) {
+    const row = this.get(
+      'SELECT window_start, count FROM rate_limits WHERE key = ?',
+      [key]
+    );
+    if (!row || row.window_start + duration <= now) {
+      return max;
+    }
+    return max - row.count;
+  }
+
+  /**
+   * Counts started tasks against a rate limit bucket, opening a new window if the current one has passed.
+   * @private
+   * @param {{key: string, duration: number}} rateLimit - The bucket and its window length
+   * @param {number} count - Number of tasks started
+   * @param {number} now - Current time in milliseconds since the epoch
+   * @returns {void}
+   */
+  _consumeRateLimit({ key, duration }, count, now) {
+    this.run(
+      `
+      INSERT INTO rate_limits (key, window_start, count) VALUES (?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET
+        window_start = CASE WHEN window_start + ? <= ? THEN excluded.window_start ELSE window_start END,
+        count = CASE WHEN window_start + ? <= ? THEN excluded.count ELSE count + excluded.count END
+    `,
+      [key, now, count, duration, now, duration, now]
+    );
+  }
+
+  /**
+   * Counts started tasks against the rate limit bucket of each of their group keys and drops
+   * group buckets whose window has passed.
+   * @private
+   * @param {{max: number, duration: number}} groupRateLimit - Rate limit applied to each group key
+   * @param {Array<Object>} tasks - The tasks that were started
+   * @param {number} now - Current time in milliseconds since the epoch
+   * @returns {void}
+   */
+  _consumeGroupRateLimits({ duration }, tasks, now) {
+    this.run(
+      'DELETE FROM rate_limits WHERE key LIKE ? AND window_start + ? <= ?',
+      [`${GROUP_RATE_LIMIT_PREFIX}%`, duration, now]
+    );
+
+    const counts = new Map();
+    for (const task of tasks) {
+      if (task.group_key !== null) {
+        counts.set(task.group_key, (counts.get(task.group_key) ?? 0) + 1);
+      }
+    }
+    for (const [groupKey, count] of counts) {
+      this._consumeRateLimit(
+        { key: `${GROUP_RATE_LIMIT_PREFIX}${groupKey}`, duration },
+        count,
+        now
+      );
+    }
+  }
+
+  /**
+   * Returns when the earliest exhausted rate limit window closes, i.e. when tasks held back by a
+   * rate limit can start again. Windows stay exhausted until the next claim opens a new one, so the
+   * result may lie in the past.
+   * @param {Object} [options={}] - Rate limits to consider
+   * @param {Array<{key: string, max: number, duration: number}>} [options.rateLimits=[]] - Buckets applying to whole claims
+   * @param {{max: number, duration: number}|null} [options.groupRateLimit=null] - Rate limit applied to each group key
+   * @param {string|null} [options.after=null] - Only consider windows closing after this ISO timestamp
+   * @returns {string|null} ISO timestamp at which the earliest exhausted window closes, or null if none is exhausted
+   */
+  getRateLimitResetTime(options = {}) {
+    const { rateLimits = [], groupRateLimit = null, after = null } = options;
+    this.initialize();
+    const since = after === null ? 0 : new Date(after).getTime();
+    const resets = rateLimits.map(
+      ({ key, max, duration }) =>
+        this.get(
+          `
+          SELECT window_start + ? AS reset_at FROM rate_limits
+          WHERE key = ? AND count >= ? AND window_start + ? > ?
+        `,
+          [duration, key, max, duration, since]
+        )?.reset_at
+    );
+    if (groupRateLimit) {
+      const { max, duration } = groupRateLimit;
+      resets.push(
+        this.get(
+          `
+          SELECT MIN(window_start) + ? AS reset_at FROM rate_limits
+          WHERE key LIKE ? AND count >= ? AND window_start + ? > ?
+        `,
+          [duration, `${GROUP_RATE_LIMIT_PREFIX}%`, max, duration, since]
+        )?.reset_at
+      );
+    }
+
+    const pending = resets.filter(
+      (reset) => reset !== undefined && reset !== null
+    );
+    return pending.length > 0
+      ? new Date(Math.min(...pending)).toISOString()
+      : null;
+  }
+
+  /**
+   * Extends the lease of a task that is still processing under the given worker. A lease that
+   * already lasts longer is kept.
+   * @param {number} id - The task ID whose lease should be extended
+   * @param {string} workerId - Identifier of the worker that claimed the task
+   * @param {string} leaseExpiresAt - New ISO timestamp at which the lease lapses
+   * @returns {Object} Result object with changes count (0 if the worker no longer owns the task)
+   */
+  extendLease(id, workerId, leaseExpiresAt) {
+    this.initialize();
+    return this.run(
+      `
+      UPDATE queue
+      SET lease_expires_at = MAX(COALESCE(lease_expires_at, ''), ?), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND worker_id = ? AND status = 'processing'
+    `,
+      [leaseExpiresAt, id, workerId]
+    );
+  }
+
+  /**
+   * Records the progress of a task that is still processing under the given worker.
+   * @param {number} id - The task ID
+   * @param {string} workerId - Identifier of the worker that claimed the task
+   * @param {number} progress - Progress reported by the handler, e.g. a fraction between 0 and 1
+   * @param {string|null} [progressData=null] - JSON-serialized details accompanying the progress
+   * @returns {Object} Result object with changes count (0 if the worker no longer owns the task)
+   */
+  updateProgress(id, workerId, progress, progressData = null) {
+    this.initialize();
+    return this.run(
+      `
+      UPDATE queue
+      SET progress = ?, progress_data = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND worker_id = ? AND status = 'processing'
+    `,
+      [progress, progressData, id, workerId]
+    );
+  }
+
+  /**
+   * Retrieves processing tasks whose lease has expired, i.e. whose worker crashed or stopped
+   * extending the lease. Processing tasks without a lease (claimed by older versions) are included.
+   * @param {string} [currentTime=new Date().toISOString()] - Current time in ISO format for lease comparison
+   * @returns {Array<Object>} Array of stalled task objects
+   */
+  getStalledTasks(currentTime = new Date().toISOString()) {
     this.initialize();
     return this.all(
       `
-      SELECT * FROM queue 
-      WHERE (status = 'pending' OR (status = 'failed' AND next_retry_at <= ?))
-      ORDER BY created_at ASC 
-      LIMIT ?
+      SELECT * FROM queue
+      WHERE status = 'processing'
+        AND (lease_expires_at IS NULL OR lease_expires_at <= ?)
+      ORDER BY id ASC
     `,
-      [currentTime, limit]
+      [currentTime]
     );
   }
 
   /**
-   * Retrieves the earliest next_retry_at timestamp among failed tasks.
+   * Returns whether any task of the given types is ready to run.
+   * @param {Array<string|null>} types - Task types to consider (null for untyped tasks)
+   * @param {string} [currentTime=new Date().toISOString()] - Current time in ISO format
+   * @returns {boolean} True if at least one such task is ready
+   */
+  hasReadyTasks(types, currentTime = new Date().toISOString()) {
+    this.initialize();
+    const named = types.filter((type) => type !== null);
+    const conditions = [];
+    if (types.includes(null)) {
+      conditions.push('type IS NULL');
+    }
+    if (named.length > 0) {
+      conditions.push(`type IN (${named.map(() => '?').join(', ')})`);
+    }
+    if (conditions.length === 0) {
+      return false;
+    }
+
+    const row = this.get(
+      `SELECT 1 FROM queue WHERE ${READY_CONDITION} AND (${conditions.join(' OR ')}) LIMIT 1`,
+      [currentTime, currentTime, ...named]
+    );
+    return row !== undefined;
+  }
+
+  /**
+   * Retrieves the earliest time at which a waiting task becomes runnable, considering failed
+   * tasks scheduled for retry, pending tasks scheduled via run_at and repeatable schedules.
    * Used to schedule the next wake-up when there are no ready tasks.
-   * @returns {string|null} ISO timestamp of the earliest next_retry_at or null if none
+   * @returns {string|null} ISO timestamp of the earliest next_retry_at, run_at or next_run_at, or null if none
    */
   getEarliestNextRetryTime() {
     this.initialize();
     const row = this.get(
       `
-      SELECT next_retry_at FROM queue
-      WHERE status = 'failed' AND next_retry_at IS NOT NULL
-      ORDER BY next_retry_at ASC
-      LIMIT 1
+      SELECT MIN(wake_at) AS wake_at FROM (
+        SELECT MIN(next_retry_at) AS wake_at FROM queue
+        WHERE status = 'failed' AND next_retry_at IS NOT NULL
+        UNION ALL
+        SELECT MIN(run_at) AS wake_at FROM queue
+        WHERE status = 'pending' AND run_at IS NOT NULL
+        UNION ALL
+        SELECT MIN(next_run_at) AS wake_at FROM schedules
+      )
     `
     );
-    return row?.next_retry_at || null;
+    return row?.wake_at || null;
   }
 
   /**
@@ -188,6 +929,79 @@ class Database {
     );
   }
 
+  /**
+   * Marks a task claimed by the given worker as completed and stores the handler's result.
+   * Has no effect if the task is no longer processing under that worker.
+   * @param {number} id - The task ID to complete
+   * @param {string} workerId - Identifier of the worker that claimed the task
+   * @param {string|null} [result=null] - JSON string representation of the handler's return value
+   * @returns {Object} Result object with changes count (0 if the worker no longer owns the task)
+   */
+  completeTask(id, workerId, result = null) {
+    this.initialize();
+    return this.run(
+      `
+      UPDATE queue
+      SET status = 'completed', result = ?, lease_expires_at = NULL, finished_at = ?,
+          ${RELEASE_UNIQUE_KEY}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND worker_id IS ? AND status = 'processing'
+    `,
+      [result, new Date().toISOString(), id, workerId]
+    );
+  }
+
+  /**
+   * Marks a task claimed by the given worker as failed and records its retry schedule and the error.
+   * Without a retry time the task moves to the terminal 'dead' state instead.
+   * Has no effect if the task is no longer processing under that worker.
+   * @param {number} id - The task ID to fail
+   * @param {string|null} workerId - Identifier of the worker that claimed the task
+   * @param {number} retryCount - Updated retry count for the task
+   * @param {string|null} [nextRetryAt=null] - ISO timestamp for next retry attempt, or null if retries are exhausted
+   * @param {{message?: string, name?: string, stack?: string}|null} [error=null] - The error that failed the attempt
+   * @param {number|null} [retryDelay=null] - Delay in milliseconds before the retry, kept as input for the next backoff
+   * @param {string|null} [leaseExpiredBy=null] - For stall recovery: ISO timestamp by which the task's lease must have expired, so a lease renewed in the meantime keeps the task processing
+   * @returns {Object} Result object with changes count (0 if the worker no longer owns the task or its lease was renewed)
+   */
+  failTask(
+    id,
+    workerId,
+    retryCount,
+    nextRetryAt = null,
+    error = null,
+    retryDelay = null,
+    leaseExpiredBy = null
+  ) {
+    this.initialize();
+    const leaseFilter =
+      leaseExpiredBy === null
+        ? ''
+        : 'AND (lease_expires_at IS NULL OR lease_expires_at <= ?)';
+    return this.run(
+      `
+      UPDATE queue
+      SET status = ?, retry_count = ?, next_retry_at = ?, retry_delay_ms = ?, lease_expires_at = NULL,
+          error_message = ?, error_name = ?, error_stack = ?, finished_at = ?,
+          ${nextRetryAt === null ? `${RELEASE_UNIQUE_KEY},` : ''}
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND worker_id IS ? AND status = 'processing' ${leaseFilter}
+    `,
+      [
+        nextRetryAt === null ? 'dead' : 'failed',
+        retryCount,
+        nextRetryAt,
+        retryDelay,
+        error?.message ?? null,
+        error?.name ?? null,
+        error?.stack ?? null,
+        new Date().toISOString(),
+        id,
+        workerId,
+        ...(leaseExpiredBy === null ? [] : [leaseExpiredBy]),
+      ]
+    );
+  }
+
   /**
    * Deletes a task from the queue by its ID.
    * @param {number} id - The ID of the task to delete
@@ -195,7 +1009,250 @@ class Database {
    */
   deleteTask(id) {
     this.initialize();
-    return this.run('DELETE FROM queue WHERE id = ?', [id]);
+    return this.transaction(() => {
+      this.run('DELETE FROM task_attempts WHERE task_id = ?', [id]);
+      this.run('DELETE FROM task_logs WHERE task_id = ?', [id]);
+      return this.run('DELETE FROM queue WHERE id = ?', [id]);
+    });
+  }
+
+  /**
+   * Cancels a task that has not finished yet. Pending, retrying and processing tasks move to the
+   * terminal 'cancelled' state; a worker still running the task can no longer record an outcome for it.
+   * @param {number} id - The ID of the task to cancel
+   * @returns {Object|undefined} The task as it was before cancellation, or undefined if it does not exist or already finished
+   */
+  cancelTask(id) {
+    this.initialize();
+    return this.transaction(() => {
+      const task = this.get(
+        "SELECT * FROM queue WHERE id = ? AND status IN ('pending', 'failed', 'processing')",
+        [id]
+      );
+      if (!task) {
+        return undefined;
+      }
+
+      this.run(
+        `
+        UPDATE queue
+        SET status = 'cancelled', next_retry_at = NULL, lease_expires_at = NULL, finished_at = ?,
+            ${RELEASE_UNIQUE_KEY}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+        [new Date().toISOString(), id]
+      );
+      return task;
+    });
+  }
+
+  /**
+   * Returns which of the given tasks have been cancelled.
+   * @param {Array<number>} ids - Task IDs to check
+   * @returns {Array<number>} IDs of the tasks that are in the cancelled state
+   */
+  getCancelledTaskIds(ids) {
+    this.initialize();
+    if (ids.length === 0) {
+      return [];
+    }
+    return this.all(
+      `
+      SELECT id FROM queue
+      WHERE status = 'cancelled' AND id IN (${ids.map(() => '?').join(', ')})
+    `,
+      ids
+    ).map((row) => row.id);
+  }
+
+  /**
+   * Retrieves the status and outcome of several tasks in one query.
+   * @param {Array<number>} ids - Task IDs to look up
+   * @returns {Array<Object>} Objects with id, status, result and error_message for the tasks that exist
+   */
+  getTaskOutcomes(ids) {
+    this.initialize();
+    if (ids.length === 0) {
+      return [];
+    }
+    return this.all(
+      `
+      SELECT id, status, result, error_message FROM queue
+      WHERE id IN (${ids.map(() => '?').join(', ')})
+    `,
+      ids
+    );
+  }
+
+  /**
+   * Retrieves tasks in the terminal dead state, most recently failed first.
+   * @param {Object} [options={}] - Listing options
+   * @param {number} [options.limit=50] - Maximum number of tasks to return
+   * @param {number} [options.offset=0] - Number of tasks to skip
+   * @param {string|null} [options.type] - Only list tasks of this type (null for untyped tasks)
+   * @returns {Array<Object>} Array of dead task objects
+   */
+  getDeadTasks({ limit = 50, offset = 0, type } = {}) {
+    this.initialize();
+    const filter = deadFilter({ type });
+    return this.all(
+      `
+      SELECT * FROM queue
+      WHERE ${filter.sql}
+      ORDER BY updated_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `,
+      [...filter.params, limit, offset]
+    );
+  }
+
+  /**
+   * Moves dead tasks back to pending with a fresh retry budget. Their debounce keys are dropped so
+   * they cannot collide with pending tasks debounced under the same key.
+   * @param {Object} [filter={}] - Which dead tasks to requeue; all of them when empty
+   * @param {Array<number>} [filter.ids] - Only requeue these task IDs
+   * @param {string|null} [filter.type] - Only requeue tasks of this type (null for untyped tasks)
+   * @returns {Array<number>} IDs of the requeued tasks
+   */
+  requeueDeadTasks(filter = {}) {
+    this.initialize();
+    const { sql, params } = deadFilter(filter);
+    return this.all(
+      `
+      UPDATE queue
+      SET status = 'pending', retry_count = 0, next_retry_at = NULL, retry_delay_ms = NULL, run_at = NULL,
+          worker_id = NULL, lease_expires_at = NULL, result = NULL, error_message = NULL,
+          error_name = NULL, error_stack = NULL, started_at = NULL, finished_at = NULL,
+          debounce_key = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE ${sql}
+      RETURNING id
+    `,
+      params
+    ).map((row) => row.id);
+  }
+
+  /**
+   * Deletes dead tasks together with their attempt history and logs.
+   * @param {Object} [filter={}] - Which dead tasks to delete; all of them when empty
+   * @param {Array<number>} [filter.ids] - Only delete these task IDs
+   * @param {string|null} [filter.type] - Only delete tasks of this type (null for untyped tasks)
+   * @returns {Object} Result object with changes count indicating how many tasks were deleted
+   */
+  deleteDeadTasks(filter = {}) {
+    this.initialize();
+    const { sql, params } = deadFilter(filter);
+    return this.transaction(() => {
+      const result = this.run(`DELETE FROM queue WHERE ${sql}`, params);
+      this._deleteOrphanHistory();
+      return result;
+    });
+  }
+
+  /**
+   * Records the outcome of a single attempt at running a task.
+   * @param {Object} attempt - Attempt details
+   * @param {number} attempt.taskId - The task ID
+   * @param {number} attempt.attempt - The attempt number, starting at 1
+   * @param {string|null} attempt.workerId - Identifier of the worker that ran the attempt
+   * @param {string|null} attempt.startedAt - ISO timestamp at which the attempt started
+   * @param {string} attempt.outcome - How the attempt ended, e.g. 'completed', 'failed' or 'stalled'
+   * @param {{message?: string, name?: string, stack?: string}|null} [attempt.error=null] - The error that ended the attempt
+   * @returns {number} The ID of the attempt record
+   */
+  insertAttempt({
+    taskId,
+    attempt,
+    workerId,
+    startedAt,
+    outcome,
+    error = null,
+  }) {
+    this.initialize();
+    const finishedAt = new Date();
+    const durationMs = startedAt
+      ? finishedAt.getTime() - new Date(startedAt).getTime()
+      : null;
+    const result = this.run(
+      `
+      INSERT INTO task_attempts (
+        task_id, attempt, worker_id, started_at, finished_at, duration_ms, outcome,
+        error_message, error_name, error_stack
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        taskId,
+        attempt,
+        workerId,
+        startedAt,
+        finishedAt.toISOString(),
+        durationMs,
+        outcome,
+        error?.message ?? null,
+        error?.name ?? null,
+        error?.stack ?? null,
+      ]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * Retrieves the attempt history of a task, oldest attempt first.
+   * @param {number} taskId - The task ID
+   * @returns {Array<Object>} Array of attempt records
+   */
+  getAttempts(taskId) {
+    this.initialize();
+    return this.all(
+      'SELECT * FROM task_attempts WHERE task_id = ? ORDER BY id ASC',
+      [taskId]
+    );
+  }
+
+  /**
+   * Appends a log line to a task, written by its handler through job.log().
+   * @param {number} taskId - The task ID
+   * @param {number} attempt - The attempt number the line was written during
+   * @param {string} message - The log message
+   * @returns {number} The ID of the log record
+   */
+  insertLog(taskId, attempt, message) {
+    this.initialize();
+    const result = this.run(
+      `
+      INSERT INTO task_logs (task_id, attempt, message, created_at)
+      VALUES (?, ?, ?, ?)
+    `,
+      [taskId, attempt, message, new Date().toISOString()]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * Retrieves the log lines of a task, oldest first.
+   * @param {number} taskId - The task ID
+   * @returns {Array<Object>} Array of log records
+   */
+  getLogs(taskId) {
+    this.initialize();
+    return this.all(
+      'SELECT * FROM task_logs WHERE task_id = ? ORDER BY id ASC',
+      [taskId]
+    );
+  }
+
+  /**
+   * Deletes attempt history and logs of tasks that no longer exist.
+   * @private
+   * @returns {void}
+   */
+  _deleteOrphanHistory() {
+    this.run(
+      'DELETE FROM task_attempts WHERE task_id NOT IN (SELECT id FROM queue)'
+    );
+    this.run(
+      'DELETE FROM task_logs WHERE task_id NOT IN (SELECT id FROM queue)'
+    );
   }
 
   /**
@@ -210,12 +1267,24 @@ class Database {
 
   /**
    * Retrieves statistics about tasks grouped by their status.
+   * @param {string|null} [type] - Only count tasks of this type (null for untyped tasks); counts all tasks when omitted
    * @returns {Array<Object>} Array of objects with status and count properties
    * @example
    * // Returns: [{ status: 'pending', count: 5 }, { status: 'completed', count: 10 }]
    */
-  getTaskStats() {
+  getTaskStats(type) {
     this.initialize();
+    if (type !== undefined) {
+      return this.all(
+        `
+        SELECT status, COUNT(*) as count 
+        FROM queue 
+        WHERE type IS ?
+        GROUP BY status
+      `,
+        [type]
+      );
+    }
     return this.all(`
       SELECT status, COUNT(*) as count 
       FROM queue 
@@ -224,7 +1293,7 @@ class Database {
   }
 
   /**
-   * Deletes completed tasks older than the specified time period.
+   * Deletes completed tasks older than the specified time period, together with their attempt history and logs.
    * @param {number} [olderThanHours=24] - Tasks older than this many hours will be deleted
    * @returns {Object} Result object with changes count indicating how many tasks were deleted
    */
@@ -233,13 +1302,174 @@ class Database {
     const cutoffTime = new Date(
       Date.now() - olderThanHours * 60 * 60 * 1000
     ).toISOString();
-    return this.run(
+    return this.transaction(() => {
+      const result = this.run(
+        `
+        DELETE FROM queue 
+        WHERE status = 'completed' AND updated_at < ?
+      `,
+        [cutoffTime]
+      );
+      this._deleteOrphanHistory();
+      return result;
+    });
+  }
+
+  /**
+   * Creates or updates a repeatable schedule definition.
+   * If a schedule with the same name exists and its timing (pattern, interval and timezone) is unchanged,
+   * its next_run_at is kept so that re-registering on every startup neither double-fires nor skips runs.
+   * @param {Object} schedule - Schedule definition
+   * @param {string} schedule.name - Unique schedule name
+   * @param {string|null} schedule.pattern - Cron expression, or null for interval schedules
+   * @param {number|null} schedule.every - Interval in milliseconds, or null for cron schedules
+   * @param {string|null} schedule.timezone - IANA timezone for cron schedules
+   * @param {string} schedule.taskData - JSON string representation of the task data
+   * @param {string|null} schedule.taskOptions - JSON string of options applied to each materialized task
+   * @param {string} schedule.catchUp - Catch-up policy for missed occurrences
+   * @param {string} schedule.nextRunAt - ISO timestamp of the first occurrence for new or changed schedules
+   * @returns {Object} The stored schedule row
+   */
+  upsertSchedule(schedule) {
+    this.initialize();
+    this.run(
       `
-      DELETE FROM queue 
-      WHERE status = 'completed' AND updated_at < ?
+      INSERT INTO schedules (name, pattern, every_ms, timezone, task_data, task_options, catch_up, next_run_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (name) DO UPDATE SET
+        next_run_at = CASE
+          WHEN pattern IS excluded.pattern AND every_ms IS excluded.every_ms AND timezone IS excluded.timezone
+          THEN next_run_at
+          ELSE excluded.next_run_at
+        END,
+        pattern = excluded.pattern,
+        every_ms = excluded.every_ms,
+        timezone = excluded.timezone,
+        task_data = excluded.task_data,
+        task_options = excluded.task_options,
+        catch_up = excluded.catch_up,
+        updated_at = CURRENT_TIMESTAMP
     `,
-      [cutoffTime]
+      [
+        schedule.name,
+        schedule.pattern,
+        schedule.every,
+        schedule.timezone,
+        schedule.taskData,
+        schedule.taskOptions,
+        schedule.catchUp,
+        schedule.nextRunAt,
+      ]
     );
+    return this.getSchedule(schedule.name);
+  }
+
+  /**
+   * Retrieves a repeatable schedule by its name.
+   * @param {string} name - The schedule name
+   * @returns {Object|undefined} The schedule row if found, undefined otherwise
+   */
+  getSchedule(name) {
+    this.initialize();
+    return this.get('SELECT * FROM schedules WHERE name = ?', [name]);
+  }
+
+  /**
+   * Retrieves all repeatable schedules ordered by their next occurrence.
+   * @returns {Array<Object>} Array of schedule rows
+   */
+  getSchedules() {
+    this.initialize();
+    return this.all('SELECT * FROM schedules ORDER BY next_run_at ASC');
+  }
+
+  /**
+   * Deletes a repeatable schedule. Tasks already materialized from it are kept.
+   * @param {string} name - The schedule name
+   * @returns {Object} Result object with changes count
+   */
+  deleteSchedule(name) {
+    this.initialize();
+    return this.run('DELETE FROM schedules WHERE name = ?', [name]);
+  }
+
+  /**
+   * Retrieves schedules whose next occurrence is due.
+   * @param {string} [currentTime=new Date().toISOString()] - Current time in ISO format
+   * @returns {Array<Object>} Array of due schedule rows
+   */
+  getDueSchedules(currentTime = new Date().toISOString()) {
+    this.initialize();
+    return this.all(
+      'SELECT * FROM schedules WHERE next_run_at <= ? ORDER BY next_run_at ASC',
+      [currentTime]
+    );
+  }
+
+  /**
+   * Inserts the tasks for due occurrences of a schedule and advances its next_run_at in one transaction.
+   * The schedule is only advanced if its next_run_at still matches the expected value, so when several
+   * processes share the database each occurrence is materialized exactly once.
+   * @param {string} name - The schedule name
+   * @param {string} expectedNextRunAt - The next_run_at value the occurrences were computed from
+   * @param {Array<string>} runTimes - ISO timestamps of the occurrences to enqueue
+   * @param {string} nextRunAt - ISO timestamp of the following occurrence
+   * @returns {Array<number>} IDs of the inserted tasks, empty if another process got there first
+   */
+  materializeSchedule(name, expectedNextRunAt, runTimes, nextRunAt) {
+    this.initialize();
+    return this.transaction(() => {
+      const schedule = this.get(
+        'SELECT * FROM schedules WHERE name = ? AND next_run_at = ?',
+        [name, expectedNextRunAt]
+      );
+      if (!schedule) {
+        return [];
+      }
+
+      this.run(
+        `
+        UPDATE schedules
+        SET next_run_at = ?, last_run_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE name = ?
+      `,
+        [nextRunAt, runTimes[runTimes.length - 1] ?? null, name]
+      );
+
+      const options = JSON.parse(schedule.task_options || '{}');
+      return runTimes.map((runAt) =>
+        this.insertTask(schedule.task_data, { ...options, runAt })
+      );
+    });
+  }
+
+  /**
+   * Marks a queue or task type as paused, for every process sharing the database.
+   * @param {string} key - 'queue' for the whole queue or 'type:<name>' for a task type
+   * @returns {Object} Result object with changes count (0 if it was already paused)
+   */
+  pause(key) {
+    this.initialize();
+    return this.run('INSERT OR IGNORE INTO pauses (key) VALUES (?)', [key]);
+  }
+
+  /**
+   * Lifts a pause set with pause().
+   * @param {string} key - 'queue' for the whole queue or 'type:<name>' for a task type
+   * @returns {Object} Result object with changes count (0 if it was not paused)
+   */
+  resume(key) {
+    this.initialize();
+    return this.run('DELETE FROM pauses WHERE key = ?', [key]);
+  }
+
+  /**
+   * Retrieves the keys of all paused queues and task types.
+   * @returns {Array<string>} The paused keys
+   */
+  getPausedKeys() {
+    this.initialize();
+    return this.all('SELECT key FROM pauses').map((row) => row.key);
   }
 
   /**
@@ -252,6 +1482,7 @@ class Database {
         const dbToClose = this.db;
         this.db = null; // Immediately set to null to prevent race conditions
         this.initialized = false;
+        this.statements.clear();
 
         try {
           dbToClose.close();
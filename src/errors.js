@@ -0,0 +1,127 @@
+/**
+ * Error recorded for a task whose lease expired before its worker reported an outcome,
+ * typically because the worker process crashed or stopped extending the lease.
+ * @extends Error
+ */
+class StalledError extends Error {
+  /**
+   * Creates a new StalledError instance.
+   * @param {string} [message='Task lease expired'] - Description of the stall
+   */
+  constructor(message = 'Task lease expired') {
+    super(message);
+    this.name = 'StalledError';
+  }
+}
+
+/**
+ * Error recorded for a task whose handler did not settle within its timeout.
+ * The handler's AbortSignal is aborted with this error as the reason.
+ * @extends Error
+ */
+class TimeoutError extends Error {
+  /**
+   * Creates a new TimeoutError instance.
+   * @param {number} timeout - The timeout in milliseconds that was exceeded
+   */
+  constructor(timeout) {
+    super(`Task timed out after ${timeout}ms`);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error used to abort the handler of a task that was cancelled while it was running.
+ * @extends Error
+ */
+class CancelledError extends Error {
+  /**
+   * Creates a new CancelledError instance.
+   * @param {string} [message='Task was cancelled'] - Description of the cancellation
+   */
+  constructor(message = 'Task was cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Error with which waitFor() and addAndWait() reject when the awaited task failed permanently.
+ * @extends Error
+ */
+class TaskFailedError extends Error {
+  /**
+   * Creates a new TaskFailedError instance.
+   * @param {number} taskId - The ID of the task that failed
+   * @param {string|null} reason - Error message of the task's last attempt
+   */
+  constructor(taskId, reason) {
+    super(`Task ${taskId} failed: ${reason ?? 'unknown error'}`);
+    this.name = 'TaskFailedError';
+    this.taskId = taskId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error a handler can throw to retry its task after a specific delay, e.g. one taken from an HTTP
+ * Retry-After header, instead of the delay computed by the backoff strategy. The attempt still
+ * counts toward maxRetries.
+ * @extends Error
+ */
+class RetryAfterError extends Error {
+  /**
+   * Creates a new RetryAfterError instance.
+   * @param {number} retryAfter - Milliseconds to wait before the next attempt
+   * @param {string} [message] - Description of the failure
+   */
+  constructor(retryAfter, message = `Retry after ${retryAfter}ms`) {
+    super(message);
+    this.name = 'RetryAfterError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error a handler can throw when retrying cannot help, e.g. for an HTTP 404. The task moves to the
+ * dead state right away instead of being retried.
+ * @extends Error
+ */
+class UnrecoverableError extends Error {
+  /**
+   * Creates a new UnrecoverableError instance.
+   * @param {string} [message='Task failed permanently'] - Description of the failure
+   */
+  constructor(message = 'Task failed permanently') {
+    super(message);
+    this.name = 'UnrecoverableError';
+  }
+}
+
+/**
+ * Error used to abort handlers still running when close() reaches its timeout. Their tasks are
+ * ready to run again right away, without the interrupted attempt counting toward maxRetries.
+ * @extends Error
+ */
+class ShutdownError extends Error {
+  /**
+   * Creates a new ShutdownError instance.
+   * @param {number} timeout - The shutdown timeout in milliseconds that was exceeded
+   */
+  constructor(timeout) {
+    super(`Queue closed ${timeout}ms before the task finished`);
+    this.name = 'ShutdownError';
+    this.timeout = timeout;
+  }
+}
+
+export {
+  StalledError,
+  TimeoutError,
+  CancelledError,
+  TaskFailedError,
+  RetryAfterError,
+  UnrecoverableError,
+  ShutdownError,
+};
@@ -8,6 +8,15 @@
 
 import Queue from './queue.js';
 import Database from './db.js';
+import {
+  StalledError,
+  TimeoutError,
+  CancelledError,
+  TaskFailedError,
+  RetryAfterError,
+  UnrecoverableError,
+  ShutdownError,
+} from './errors.js';
 
 /**
  * Default export - The main Queue class for task queue management.
@@ -16,9 +25,26 @@ import Database from './db.js';
 export default Queue;
 
 /**
- * Named exports for Queue and Database classes.
+ * Named exports for Queue and Database classes and the error types used by the queue.
  * @type {Object}
  * @property {typeof Queue} Queue - The main queue class for task management
  * @property {typeof Database} Database - The database class for direct database operations
+ * @property {typeof StalledError} StalledError - Error recorded when a task's lease expires
+ * @property {typeof TimeoutError} TimeoutError - Error recorded when a handler exceeds its timeout
+ * @property {typeof CancelledError} CancelledError - Error used to abort the handler of a cancelled task
+ * @property {typeof TaskFailedError} TaskFailedError - Error with which waitFor() rejects when the task failed permanently
+ * @property {typeof RetryAfterError} RetryAfterError - Error a handler throws to retry its task after a given delay
+ * @property {typeof UnrecoverableError} UnrecoverableError - Error a handler throws to fail its task without retrying
+ * @property {typeof ShutdownError} ShutdownError - Error used to abort handlers still running when close() times out
  */
-export { Queue, Database };
+export {
+  Queue,
+  Database,
+  StalledError,
+  TimeoutError,
+  CancelledError,
+  TaskFailedError,
+  RetryAfterError,
+  UnrecoverableError,
+  ShutdownError,
+};
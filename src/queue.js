@@ -1,5 +1,241 @@
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { hostname } from 'os';
 import Database from './db.js';
+import {
+  StalledError,
+  TimeoutError,
+  CancelledError,
+  TaskFailedError,
+  RetryAfterError,
+  UnrecoverableError,
+  ShutdownError,
+} from './errors.js';
+import { normalizeBackoff, computeRetryDelay } from './backoff.js';
+import {
+  CATCH_UP_POLICIES,
+  normalizeRepeat,
+  nextRunAfter,
+  collectDueRuns,
+} from './repeat.js';
+
+/**
+ * Longest delay setTimeout supports; larger values fire immediately.
+ */
+const MAX_TIMER_DELAY = 2_147_483_647;
+
+/**
+ * Validates a rate limit option.
+ * @param {{max: number, duration: number}|null|undefined} rateLimit - At most max tasks may start per duration milliseconds
+ * @returns {{max: number, duration: number}|null} The rate limit, or null if none is configured
+ * @throws {Error} When max or duration is not a positive number
+ */
+function normalizeRateLimit(rateLimit) {
+  if (rateLimit === undefined || rateLimit === null) {
+    return null;
+  }
+  const { max, duration } = rateLimit;
+  if (!Number.isInteger(max) || max <= 0 || !(duration > 0)) {
+    throw new Error(
+      'rateLimit must have a positive integer max and a positive duration'
+    );
+  }
+  return { max, duration };
+}
+
+/**
+ * Validates a retryIf option.
+ * @param {Function|null|undefined} retryIf - Predicate (error, task) => boolean deciding whether a failed attempt may be retried
+ * @returns {Function|null} The predicate, or null if none is configured
+ * @throws {Error} When retryIf is not a function
+ */
+function normalizeRetryIf(retryIf) {
+  if (retryIf === undefined || retryIf === null) {
+    return null;
+  }
+  if (typeof retryIf !== 'function') {
+    throw new Error('retryIf must be a function');
+  }
+  return retryIf;
+}
+
+/**
+ * Parses a timestamp stored in the database. Columns defaulting to CURRENT_TIMESTAMP hold
+ * 'YYYY-MM-DD HH:MM:SS' in UTC, the others hold ISO strings.
+ * @param {string|null} value - The stored timestamp
+ * @returns {Date|null} The parsed date, or null if no timestamp is stored
+ */
+function parseTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+  return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Queues closing on each signal of their handleSignals. A single process listener per signal
+ * closes all of them and only re-raises the signal once every one has finished closing.
+ * @type {Map<string, {queues: Set<Queue>, listener: Function}>}
+ */
+const signalHandlers = new Map();
+
+/**
+ * Registers a queue to be closed on a signal, installing the process listener for the signal
+ * when the queue is the first to handle it.
+ * @param {string} signal - The signal name, e.g. 'SIGTERM'
+ * @param {Queue} queue - The queue to close
+ * @returns {void}
+ * @fires Queue#error
+ */
+function addSignalQueue(signal, queue) {
+  let handler = signalHandlers.get(signal);
+  if (!handler) {
+    const queues = new Set();
+    const listener = async () => {
+      // Queues registered from now on are closed by the next signal
+      signalHandlers.delete(signal);
+      await Promise.all(
+        [...queues].map((signalQueue) =>
+          signalQueue
+            .close({ timeout: signalQueue.shutdownTimeout })
+            .catch((error) =>
+              signalQueue.emit('error', { error, operation: 'close' })
+            )
+        )
+      );
+      if (process.listenerCount(signal) === 0) {
+        process.kill(process.pid, signal);
+      }
+    };
+    process.once(signal, listener);
+    handler = { queues, listener };
+    signalHandlers.set(signal, handler);
+  }
+  handler.queues.add(queue);
+}
+
+/**
+ * Unregisters a queue added with addSignalQueue(), removing the process listener once no queue
+ * handles the signal anymore.
+ * @param {string} signal - The signal name
+ * @param {Queue} queue - The queue to unregister
+ * @returns {void}
+ */
+function removeSignalQueue(signal, queue) {
+  const handler = signalHandlers.get(signal);
+  if (!handler?.queues.delete(queue) || handler.queues.size > 0) {
+    return;
+  }
+  signalHandlers.delete(signal);
+  process.off(signal, handler.listener);
+}
+
+/**
+ * Context passed to handlers as their second argument.
+ * @typedef {Object} Job
+ * @property {number} id - The task ID
+ * @property {number} attempt - The current attempt number, starting at 1
+ * @property {number} maxRetries - Maximum number of retries for the task
+ * @property {Date} createdAt - When the task was enqueued
+ * @property {AbortSignal} signal - Aborted when the task times out or is cancelled
+ * @property {function(*): void} log - Appends a line to the task's log, readable via getLogs()
+ * @property {function(number, *=): boolean} updateProgress - Persists progress on the task row and emits a progress event
+ * @property {function(number=): boolean} extendLease - Extends the task's lease, see heartbeat()
+ */
+
+/**
+ * Emitted when a handler starts working on a task.
+ * @event Queue#active
+ * @type {Object}
+ * @property {number} taskId - The task ID
+ * @property {*} taskData - The parsed task data
+ * @property {string|null} type - The task type, or null for untyped tasks
+ * @property {number} attempt - The attempt number, starting at 1
+ * @property {string} workerId - Identifier of the queue running the task
+ */
+
+/**
+ * Emitted when a handler finished a task successfully.
+ * @event Queue#completed
+ * @type {Object}
+ * @property {number} taskId - The task ID
+ * @property {*} taskData - The parsed task data
+ * @property {string|null} type - The task type, or null for untyped tasks
+ * @property {number} attempt - The number of the attempt that succeeded, starting at 1
+ * @property {string} workerId - Identifier of the queue that ran the attempt
+ * @property {*} result - The value the handler resolved with
+ */
+
+/**
+ * Emitted for every failed attempt, before 'retried' or 'failed' tells whether the task is retried.
+ * @event Queue#attemptFailed
+ * @type {Object}
+ * @property {number} taskId - The task ID
+ * @property {*} taskData - The parsed task data
+ * @property {string|null} type - The task type, or null for untyped tasks
+ * @property {number} attempt - The number of the attempt that failed, starting at 1
+ * @property {string} workerId - Identifier of the queue that ran the attempt
+ * @property {string} error - The error message
+ * @property {string} outcome - How the attempt ended: 'failed', 'timeout', 'stalled' or 'shutdown'
+ * @property {boolean} willRetry - Whether the task is scheduled for another attempt
+ */
+
+/**
+ * Emitted after a failed attempt when the task is scheduled for another one.
+ * @event Queue#retried
+ * @type {Object}
+ * @property {number} taskId - The task ID
+ * @property {*} taskData - The parsed task data
+ * @property {string|null} type - The task type, or null for untyped tasks
+ * @property {number} attempt - The number of the attempt that failed, starting at 1
+ * @property {string} workerId - Identifier of the queue that ran the attempt
+ * @property {number} retryCount - Number of failed attempts counting toward maxRetries
+ * @property {string} nextRetryAt - ISO timestamp at which the task is ready again
+ * @property {number} delay - Milliseconds until the next attempt
+ * @property {string} error - The error message
+ */
+
+/**
+ * Emitted after a failed attempt when the task is not retried and moves to the dead state.
+ * @event Queue#failed
+ * @type {Object}
+ * @property {number} taskId - The task ID
+ * @property {*} taskData - The parsed task data
+ * @property {string|null} type - The task type, or null for untyped tasks
+ * @property {number} attempt - The number of the attempt that failed, starting at 1
+ * @property {string} workerId - Identifier of the queue that ran the attempt
+ * @property {number} retryCount - Number of failed attempts counting toward maxRetries
+ * @property {string} error - The error message
+ */
+
+/**
+ * Emitted when a task's lease expired before its worker reported an outcome. The stall counts as
+ * a failed attempt; 'attemptFailed' and 'retried' or 'failed' follow.
+ * @event Queue#stalled
+ * @type {Object}
+ * @property {number} taskId - The task ID
+ * @property {*} taskData - The parsed task data
+ * @property {string|null} type - The task type, or null for untyped tasks
+ * @property {number} attempt - The number of the attempt that stalled, starting at 1
+ * @property {string} workerId - Identifier of the queue whose lease expired
+ */
+
+/**
+ * Emitted when the last running task finished and no task this queue has a handler for is ready
+ * to run, see drain(). Emitted once until a task becomes active again.
+ * @event Queue#drained
+ * @type {Object}
+ * @property {string} workerId - Identifier of the queue
+ */
+
+/**
+ * Emitted when an auto-processing queue runs no tasks, none it could run is ready and it has no
+ * wake-up scheduled, so it waits for add() or another trigger. Emitted once until a task becomes
+ * active or a wake-up is scheduled.
+ * @event Queue#idle
+ * @type {Object}
+ * @property {string} workerId - Identifier of the queue
+ */
 
 /**
  * Queue class for managing and processing background tasks.
@@ -7,9 +243,22 @@ import Database from './db.js';
  *
  * @extends EventEmitter
  * @fires Queue#added - When a task is added to the queue
+ * @fires Queue#active - When a handler starts working on a task
+ * @fires Queue#attemptFailed - When an attempt fails, whether or not the task is retried
+ * @fires Queue#drained - When no runnable tasks are left and none are running
+ * @fires Queue#idle - When auto-processing has nothing running and no wake-up scheduled
+ * @fires Queue#addedBulk - When tasks are added to the queue with addBulk()
+ * @fires Queue#duplicate - When add() finds an existing task holding the unique key
+ * @fires Queue#debounced - When add() coalesces into a pending task with the same debounce key
  * @fires Queue#completed - When a task completes successfully
- * @fires Queue#failed - When a task fails after all retries
+ * @fires Queue#failed - When a task fails after all retries and moves to the dead state
+ * @fires Queue#requeued - When dead tasks are requeued
+ * @fires Queue#cancelled - When a task is cancelled
+ * @fires Queue#paused - When pause() pauses the queue or a task type
+ * @fires Queue#resumed - When resume() resumes the queue or a task type
+ * @fires Queue#progress - When a handler reports progress
  * @fires Queue#retried - When a task is scheduled for retry
+ * @fires Queue#stalled - When a task's lease expired before its worker finished it
  * @fires Queue#error - When an error occurs during queue operations
  */
 class Queue extends EventEmitter {
@@ -23,6 +272,20 @@ class Queue extends EventEmitter {
    * @param {number} [options.pollingInterval=5000] - Interval in milliseconds for polling new tasks
    * @param {boolean} [options.autoProcess=true] - Whether to automatically process tasks when added
    * @param {boolean} [options.jitter=true] - Whether to add randomness to retry delays
+   * @param {string|Function} [options.backoff='exponential'] - Retry delay strategy: 'exponential', 'linear', 'fixed', 'decorrelated-jitter' or a custom (attempt, error, task) => ms function
+   * @param {number|null} [options.maxRetryDelay=null] - Upper bound in milliseconds for computed retry delays, or null for none
+   * @param {Function|null} [options.retryIf=null] - Predicate (error, task) => boolean deciding whether a failed attempt may be retried, or null to retry every error except UnrecoverableError
+   * @param {string} [options.workerId] - Identifier recorded on tasks claimed by this queue instance (defaults to host, pid and a random suffix)
+   * @param {number} [options.leaseDuration=300_000] - Time in milliseconds a claimed task may run before it is considered stalled unless its lease is extended
+   * @param {number} [options.stalledInterval=30_000] - Interval in milliseconds between sweeps for stalled tasks while processing
+   * @param {number|null} [options.priorityAging=null] - Milliseconds after which a waiting task gains one priority point, or null to disable aging
+   * @param {number|null} [options.timeout=null] - Milliseconds a handler may run before its attempt fails with a TimeoutError, or null for no limit
+   * @param {number} [options.cancelCheckInterval=1000] - Interval in milliseconds at which running tasks are checked for cancellation by other processes
+   * @param {number} [options.groupConcurrency=1] - Maximum number of tasks with the same groupKey processing at once, across all processes sharing the database
+   * @param {{max: number, duration: number}} [options.rateLimit] - At most max tasks start per duration milliseconds, across all processes sharing the database
+   * @param {{max: number, duration: number}} [options.groupRateLimit] - Like rateLimit, but applied to each groupKey separately
+   * @param {Array<string>|boolean} [options.handleSignals=false] - Signals, e.g. ['SIGTERM', 'SIGINT'], on which to close the queue and then let the signal terminate the process; true for SIGTERM and SIGINT
+   * @param {number|null} [options.shutdownTimeout=null] - Timeout passed to close() when a handled signal arrives, or null to wait for running tasks indefinitely
    */
   constructor(options = {}) {
     super();
@@ -33,29 +296,123 @@ class Queue extends EventEmitter {
     this.pollingInterval = options.pollingInterval || 5000; // 5 seconds
     this.autoProcess = options.autoProcess !== false; // defaults to true
     this.jitter = options.jitter !== false; // adds randomness to retry delays
+    this.backoff = normalizeBackoff(options.backoff ?? 'exponential');
+    this.maxRetryDelay = options.maxRetryDelay || null; // no cap by default
+    this.retryIf = normalizeRetryIf(options.retryIf); // retry every error by default
+    this.workerId =
+      options.workerId ||
+      `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.leaseDuration = options.leaseDuration || 300_000; // 5 minutes
+    this.stalledInterval = options.stalledInterval || 30_000; // 30 seconds
+    this.priorityAging = options.priorityAging || null; // disabled by default
+    this.timeout = options.timeout || null; // no handler timeout by default
+    this.cancelCheckInterval = options.cancelCheckInterval || 1000; // 1 second
+    this.groupConcurrency = options.groupConcurrency || 1; // serialize grouped tasks by default
+    this.rateLimit = normalizeRateLimit(options.rateLimit); // no rate limit by default
+    this.groupRateLimit = normalizeRateLimit(options.groupRateLimit);
+    this.handleSignals =
+      options.handleSignals === true
+        ? ['SIGTERM', 'SIGINT']
+        : options.handleSignals || [];
+    this.shutdownTimeout = options.shutdownTimeout ?? null; // wait for running tasks by default
 
     this.db = new Database(this.dbPath);
     this.currentRunning = 0;
     this.isProcessing = false;
     this.handler = null;
+    this.types = new Map(); // task type -> handler definition registered via define()
+    this.consumerOffset = 0; // rotates which handler claims first in each batch
     this.pollingTimer = null; // used as a one-shot wake-up timer
+    this.stalledTimer = null; // periodic sweep for expired leases
+    this.running = new Map(); // task id -> { task, controller } for tasks in flight
+    this.cancelTimer = null; // checks running tasks for cancellation while any are in flight
+    this.leaseTimer = null; // renews the leases of running tasks while any are in flight
+    this.waiters = new Map(); // task id -> Set of { resolve, reject, deadlineTimer } for pending waitFor() calls
+    this.waitListeners = null; // event listeners settling waiters, installed while any are pending
+    this.waitTimer = null; // polls the persisted status of waited-for tasks while any are pending
+    this.lastBatch = null; // { startedAt, claimed, paused } of the last batch, for wake-up scheduling
+    this.closing = null; // promise of the pending or finished close()
+    this.wasDrained = true; // 'drained' is only emitted after a task ran
+    this.wasIdle = false; // whether 'idle' was emitted since the queue was last busy
+
+    this._installSignalHandlers();
   }
 
   /**
    * Adds a new task to the queue.
    * @param {*} taskData - The data for the task (will be JSON serialized)
-   * @returns {number} The ID of the newly added task
-   * @throws {Error} When task insertion fails
+   * @param {Object} [options={}] - Task options
+   * @param {number} [options.priority=0] - Task priority, higher values are processed first
+   * @param {number} [options.delay] - Milliseconds to wait before the task becomes runnable
+   * @param {Date|string|number} [options.runAt] - Point in time at which the task becomes runnable (takes precedence over delay)
+   * @param {string} [options.type] - Task type, routes the task to the handler registered with define()
+   * @param {number} [options.timeout] - Handler timeout in milliseconds for this task, overrides the type and queue defaults
+   * @param {string} [options.groupKey] - Group, e.g. an account ID, whose tasks run oldest first and at most groupConcurrency at a time
+   * @param {string} [options.uniqueKey] - Idempotency key; while another task holds the key, no task is added and that task's ID is returned
+   * @param {string|number} [options.uniqueFor='active'] - How long the key is held: 'pending' until the task is claimed, 'active' until it finished, or a number of milliseconds from now
+   * @param {string} [options.debounceKey] - Coalescing key; while a task with this key is pending, its run time is pushed out instead of adding another task
+   * @param {number} [options.debounceMs=0] - Milliseconds after the latest add() with the debounce key at which the task runs
+   * @param {Function} [options.merge] - Combines the pending task's data with the new data, called as merge(pendingData, taskData); without it the new data replaces the pending data
+   * @returns {number} The ID of the newly added task, or of the existing task holding the unique or debounce key
+   * @throws {Error} When runAt is not a valid date, the unique or debounce options are invalid or task insertion fails
    * @fires Queue#added
+   * @fires Queue#duplicate
+   * @fires Queue#debounced
    * @fires Queue#error
    */
-  add(taskData) {
+  add(taskData, options = {}) {
     try {
-      const taskId = this.db.insertTask(JSON.stringify(taskData));
+      const taskOptions = {
+        priority: options.priority,
+        runAt: this._resolveRunAt(options),
+        type: options.type,
+        timeout: options.timeout,
+        groupKey: options.groupKey,
+      };
+
+      let taskId;
+      // Checked first, so that a debounceKey combined with uniqueKey is rejected instead of ignored
+      if (options.debounceKey !== undefined) {
+        const debounce = this._resolveDebounce(options);
+        const inserted = this.db.insertDebouncedTask(
+          JSON.stringify(taskData),
+          { ...taskOptions, ...debounce },
+          options.merge
+            ? (pendingData) =>
+                JSON.stringify(options.merge(JSON.parse(pendingData), taskData))
+            : null
+        );
+        taskId = inserted.id;
+        if (inserted.debounced) {
+          this.emit('debounced', {
+            taskId,
+            debounceKey: debounce.debounceKey,
+            taskData: JSON.parse(inserted.taskData),
+            runAt: debounce.runAt,
+          });
+          return taskId;
+        }
+      } else if (options.uniqueKey !== undefined) {
+        const inserted = this.db.insertUniqueTask(JSON.stringify(taskData), {
+          ...taskOptions,
+          ...this._resolveUnique(options),
+        });
+        taskId = inserted.id;
+        if (inserted.duplicate) {
+          this.emit('duplicate', {
+            taskId,
+            uniqueKey: options.uniqueKey,
+            taskData,
+          });
+          return taskId;
+        }
+      } else {
+        taskId = this.db.insertTask(JSON.stringify(taskData), taskOptions);
+      }
       this.emit('added', { taskId, taskData });
 
       // If auto-processing is enabled and we have a handler, trigger processing immediately
-      if (this.autoProcess && this.handler && !this.isProcessing) {
+      if (this.autoProcess && this._hasHandlers() && !this.isProcessing) {
         // Cancel any scheduled wake since we have immediate work now
         this.stopPolling();
         setImmediate(() => this._processNextBatch());
@@ -68,10 +425,429 @@ class Queue extends EventEmitter {
     }
   }
 
+  /**
+   * Adds many tasks to the queue in a single database transaction. Either all tasks are added or,
+   * if any insert fails, none are. Emits a single addedBulk event instead of one added event per task.
+   * @param {Array<*>} tasksData - The data for each task (each will be JSON serialized)
+   * @param {Object} [options={}] - Task options applied to every task, as accepted by add() except uniqueKey and debounceKey
+   * @returns {Array<number>} The IDs of the newly added tasks, in input order
+   * @throws {Error} When tasksData is not an array, uniqueKey or debounceKey is given, runAt is not a valid date or task insertion fails
+   * @fires Queue#addedBulk
+   * @fires Queue#error
+   */
+  addBulk(tasksData, options = {}) {
+    if (!Array.isArray(tasksData)) {
+      throw new Error('Tasks must be an array');
+    }
+    if (options.uniqueKey !== undefined || options.debounceKey !== undefined) {
+      throw new Error('addBulk does not support uniqueKey or debounceKey');
+    }
+
+    try {
+      const taskIds = this.db.insertTasks(
+        tasksData.map((taskData) => JSON.stringify(taskData)),
+        {
+          priority: options.priority,
+          runAt: this._resolveRunAt(options),
+          type: options.type,
+          timeout: options.timeout,
+          groupKey: options.groupKey,
+        }
+      );
+      if (taskIds.length === 0) {
+        return taskIds;
+      }
+      this.emit('addedBulk', { taskIds, count: taskIds.length });
+
+      if (this.autoProcess && this._hasHandlers() && !this.isProcessing) {
+        this.stopPolling();
+        setImmediate(() => this._processNextBatch());
+      }
+
+      return taskIds;
+    } catch (error) {
+      this.emit('error', { error, operation: 'addBulk' });
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a new task to the queue and waits until it has been processed, by this or any other
+   * process sharing the database. See waitFor() for how the returned promise settles.
+   * @param {*} taskData - The data for the task (will be JSON serialized)
+   * @param {Object} [options={}] - Task options as accepted by add(), except timeout
+   * @param {number} [options.timeout] - Milliseconds to wait for the task before rejecting; the task itself uses the type or queue handler timeout
+   * @returns {Promise<{taskId: number, status: string, result: *}>} The task ID, its status and the handler's result
+   * @throws {Error} When the task cannot be added
+   */
+  async addAndWait(taskData, options = {}) {
+    const { timeout, ...addOptions } = options;
+    const taskId = this.add(taskData, addOptions);
+    return this.waitFor(taskId, { timeout });
+  }
+
+  /**
+   * Waits until a task has been processed. Resolves from this queue's events when the task runs in
+   * this process and otherwise polls its persisted status every pollingInterval, so tasks processed
+   * by another process sharing the database are picked up as well.
+   * @param {number} taskId - The ID of the task to wait for
+   * @param {Object} [options={}] - Wait options
+   * @param {number} [options.timeout] - Milliseconds to wait before rejecting (defaults to waiting indefinitely)
+   * @returns {Promise<{taskId: number, status: string, result: *}>} The task ID, its status and the handler's result
+   * @throws {TaskFailedError} When the task exhausted its retries
+   * @throws {CancelledError} When the task was cancelled
+   * @throws {Error} When the task does not exist, the timeout elapses or the queue is closed
+   */
+  waitFor(taskId, options = {}) {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, deadlineTimer: null };
+      if (options.timeout) {
+        waiter.deadlineTimer = setTimeout(() => {
+          this._removeWaiter(taskId, waiter);
+          reject(
+            new Error(
+              `Timed out after ${options.timeout}ms waiting for task ${taskId}`
+            )
+          );
+        }, options.timeout);
+      }
+
+      let waiters = this.waiters.get(taskId);
+      if (!waiters) {
+        waiters = new Set();
+        this.waiters.set(taskId, waiters);
+      }
+      waiters.add(waiter);
+      this._startWaiting();
+      this._pollWaiters([taskId]);
+    });
+  }
+
+  /**
+   * Installs the listeners and the poll shared by all pending waitFor() calls, so their number
+   * does not grow with the number of waiters.
+   * @private
+   * @returns {void}
+   */
+  _startWaiting() {
+    if (this.waitListeners) {
+      return;
+    }
+
+    this.waitListeners = {
+      completed: ({ taskId, result }) =>
+        this._settleWaiters(taskId, ({ resolve }) =>
+          resolve({ taskId, status: 'completed', result })
+        ),
+      failed: ({ taskId, error }) =>
+        this._settleWaiters(taskId, ({ reject }) =>
+          reject(new TaskFailedError(taskId, error))
+        ),
+      cancelled: ({ taskId }) =>
+        this._settleWaiters(taskId, ({ reject }) =>
+          reject(new CancelledError(`Task ${taskId} was cancelled`))
+        ),
+    };
+    for (const [event, listener] of Object.entries(this.waitListeners)) {
+      this.on(event, listener);
+    }
+    this.waitTimer = setInterval(
+      () => this._pollWaiters([...this.waiters.keys()]),
+      this.pollingInterval
+    );
+  }
+
+  /**
+   * Removes the listeners and the poll installed by _startWaiting().
+   * @private
+   * @returns {void}
+   */
+  _stopWaiting() {
+    if (!this.waitListeners) {
+      return;
+    }
+
+    for (const [event, listener] of Object.entries(this.waitListeners)) {
+      this.off(event, listener);
+    }
+    this.waitListeners = null;
+    clearInterval(this.waitTimer);
+    this.waitTimer = null;
+  }
+
+  /**
+   * Settles the waiters of tasks that reached a final state, which covers tasks processed by
+   * another process sharing the database.
+   * @private
+   * @param {Array<number>} taskIds - IDs of the waited-for tasks to check
+   * @returns {void}
+   */
+  _pollWaiters(taskIds) {
+    let tasks;
+    try {
+      tasks = new Map(
+        this.db.getTaskOutcomes(taskIds).map((task) => [task.id, task])
+      );
+    } catch (error) {
+      for (const taskId of taskIds) {
+        this._settleWaiters(taskId, ({ reject }) => reject(error));
+      }
+      return;
+    }
+
+    for (const taskId of taskIds) {
+      const task = tasks.get(taskId);
+      if (!task) {
+        this._settleWaiters(taskId, ({ reject }) =>
+          reject(new Error(`Task ${taskId} not found`))
+        );
+      } else if (task.status === 'completed') {
+        const result =
+          task.result === null ? undefined : JSON.parse(task.result);
+        this._settleWaiters(taskId, ({ resolve }) =>
+          resolve({ taskId, status: 'completed', result })
+        );
+      } else if (task.status === 'dead') {
+        this._settleWaiters(taskId, ({ reject }) =>
+          reject(new TaskFailedError(taskId, task.error_message))
+        );
+      } else if (task.status === 'cancelled') {
+        this._settleWaiters(taskId, ({ reject }) =>
+          reject(new CancelledError(`Task ${taskId} was cancelled`))
+        );
+      }
+    }
+  }
+
+  /**
+   * Settles and removes all waiters of a task.
+   * @private
+   * @param {number} taskId - The ID of the task
+   * @param {Function} settle - Called with each waiter's { resolve, reject }
+   * @returns {void}
+   */
+  _settleWaiters(taskId, settle) {
+    const waiters = this.waiters.get(taskId);
+    if (!waiters) {
+      return;
+    }
+
+    this.waiters.delete(taskId);
+    if (this.waiters.size === 0) {
+      this._stopWaiting();
+    }
+    for (const waiter of waiters) {
+      clearTimeout(waiter.deadlineTimer);
+      settle(waiter);
+    }
+  }
+
+  /**
+   * Removes a single waiter, e.g. once its timeout elapsed.
+   * @private
+   * @param {number} taskId - The ID of the task
+   * @param {Object} waiter - The waiter to remove
+   * @returns {void}
+   */
+  _removeWaiter(taskId, waiter) {
+    const waiters = this.waiters.get(taskId);
+    if (!waiters?.delete(waiter) || waiters.size > 0) {
+      return;
+    }
+
+    this.waiters.delete(taskId);
+    if (this.waiters.size === 0) {
+      this._stopWaiting();
+    }
+  }
+
+  /**
+   * Registers a repeatable task. The schedule is persisted in the database and a regular task is
+   * enqueued for each occurrence by whichever process sharing the database file reaches it first.
+   * Calling repeat() again with the same name updates the definition; if the timing is unchanged the
+   * next occurrence is preserved, so it is safe to register schedules on every startup.
+   * @param {string} name - Unique schedule name
+   * @param {string|{every: number}} pattern - Cron expression or an object with an interval in milliseconds
+   * @param {*} taskData - The data for each task (will be JSON serialized)
+   * @param {Object} [options={}] - Schedule options
+   * @param {string} [options.timezone] - IANA timezone the cron expression is evaluated in (defaults to the local timezone)
+   * @param {string} [options.catchUp='latest'] - What to do with occurrences missed while no process was running: 'latest' enqueues one task, 'all' enqueues one per occurrence
+   * @param {number} [options.priority=0] - Priority of the enqueued tasks
+   * @param {string} [options.type] - Type of the enqueued tasks
+   * @returns {Object} The stored schedule row
+   * @throws {Error} When the name, pattern, timezone or catch-up policy is invalid
+   */
+  repeat(name, pattern, taskData, options = {}) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('Schedule name must be a non-empty string');
+    }
+
+    const catchUp = options.catchUp || 'latest';
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new Error(`Invalid catch-up policy: ${catchUp}`);
+    }
+
+    const definition = normalizeRepeat(pattern, options.timezone || null);
+    const nextRunAt = nextRunAfter(
+      {
+        pattern: definition.pattern,
+        every_ms: definition.every,
+        timezone: definition.timezone,
+      },
+      new Date()
+    );
+
+    const taskOptions = {};
+    for (const key of ['priority', 'type']) {
+      if (options[key] !== undefined) {
+        taskOptions[key] = options[key];
+      }
+    }
+
+    const schedule = this.db.upsertSchedule({
+      name,
+      ...definition,
+      taskData: JSON.stringify(taskData),
+      taskOptions: JSON.stringify(taskOptions),
+      catchUp,
+      nextRunAt: nextRunAt.toISOString(),
+    });
+
+    // The new schedule may be due earlier than the current wake-up
+    if (this.autoProcess && this._hasHandlers() && !this.isProcessing) {
+      this._scheduleNextWake();
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Removes a repeatable task schedule. Tasks already enqueued from it are kept.
+   * @param {string} name - The schedule name
+   * @returns {boolean} True if a schedule was removed
+   */
+  removeRepeat(name) {
+    return this.db.deleteSchedule(name).changes > 0;
+  }
+
+  /**
+   * Retrieves all repeatable task schedules.
+   * @returns {Array<Object>} Array of schedule rows ordered by their next occurrence
+   */
+  getRepeats() {
+    return this.db.getSchedules();
+  }
+
+  /**
+   * Enqueues tasks for all due schedule occurrences.
+   * @private
+   * @returns {void}
+   * @fires Queue#added
+   */
+  _materializeSchedules() {
+    const now = new Date();
+    for (const schedule of this.db.getDueSchedules(now.toISOString())) {
+      const { runTimes, nextRunAt } = collectDueRuns(schedule, now);
+      const taskIds = this.db.materializeSchedule(
+        schedule.name,
+        schedule.next_run_at,
+        runTimes,
+        nextRunAt
+      );
+      const taskData = JSON.parse(schedule.task_data);
+      for (const taskId of taskIds) {
+        this.emit('added', { taskId, taskData, repeat: schedule.name });
+      }
+    }
+  }
+
+  /**
+   * Converts the uniqueKey/uniqueFor options of add() into the columns stored with the task.
+   * @private
+   * @param {Object} options - Task options passed to add()
+   * @returns {{uniqueKey: string, uniqueFor: string|null, uniqueUntil: string|null}} The unique key and how long it is held
+   * @throws {Error} When the unique key or uniqueFor is invalid
+   */
+  _resolveUnique({ uniqueKey, uniqueFor = 'active' }) {
+    if (typeof uniqueKey !== 'string' || uniqueKey.length === 0) {
+      throw new Error('uniqueKey must be a non-empty string');
+    }
+    if (uniqueFor === 'pending' || uniqueFor === 'active') {
+      return { uniqueKey, uniqueFor, uniqueUntil: null };
+    }
+    if (Number.isFinite(uniqueFor) && uniqueFor > 0) {
+      return {
+        uniqueKey,
+        uniqueFor: null,
+        uniqueUntil: new Date(Date.now() + uniqueFor).toISOString(),
+      };
+    }
+    throw new Error(
+      `Invalid uniqueFor: ${uniqueFor} (expected 'pending', 'active' or a positive number of milliseconds)`
+    );
+  }
+
+  /**
+   * Converts the debounceKey/debounceMs options of add() into the debounce key and run time of the task.
+   * @private
+   * @param {Object} options - Task options passed to add()
+   * @returns {{debounceKey: string, runAt: string}} The debounce key and the ISO timestamp at which the task runs
+   * @throws {Error} When the debounce options are invalid or combined with options they conflict with
+   */
+  _resolveDebounce({
+    debounceKey,
+    debounceMs = 0,
+    merge,
+    uniqueKey,
+    delay,
+    runAt,
+  }) {
+    if (typeof debounceKey !== 'string' || debounceKey.length === 0) {
+      throw new Error('debounceKey must be a non-empty string');
+    }
+    if (!Number.isFinite(debounceMs) || debounceMs < 0) {
+      throw new Error('debounceMs must be a non-negative number');
+    }
+    if (merge !== undefined && typeof merge !== 'function') {
+      throw new Error('merge must be a function');
+    }
+    if (uniqueKey !== undefined || delay !== undefined || runAt !== undefined) {
+      throw new Error(
+        'debounceKey cannot be combined with uniqueKey, delay or runAt'
+      );
+    }
+    return {
+      debounceKey,
+      runAt: new Date(Date.now() + debounceMs).toISOString(),
+    };
+  }
+
+  /**
+   * Converts the delay/runAt options of add() into an ISO timestamp.
+   * @private
+   * @param {Object} options - Task options passed to add()
+   * @returns {string|null} ISO timestamp before which the task must not run, or null if it can run immediately
+   * @throws {Error} When runAt is not a valid date
+   */
+  _resolveRunAt({ delay, runAt }) {
+    if (runAt !== undefined && runAt !== null) {
+      const date = new Date(runAt);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid runAt date: ${runAt}`);
+      }
+      return date.toISOString();
+    }
+    if (delay > 0) {
+      return new Date(Date.now() + delay).toISOString();
+    }
+    return null;
+  }
+
   /**
    * Sets up continuous task processing with the provided handler function.
+   * The handler receives all tasks that were added without a type.
    * Starts polling for new tasks if autoProcess is enabled.
-   * @param {Function} handler - Function to process each task, receives task data as parameter
+   * @param {Function} handler - Function to process each task, receives task data and a job context (see Job)
    * @returns {Promise<void>} Promise that resolves after initial batch processing
    * @throws {Error} When handler is not a function
    */
@@ -82,6 +858,10 @@ class Queue extends EventEmitter {
 
     this.handler = handler;
 
+    // Recover tasks left behind by workers that crashed before this one started
+    await this._recoverStalledTasks();
+    this._startStalledSweep();
+
     if (this.autoProcess) {
       this._startPolling();
     }
@@ -89,18 +869,96 @@ class Queue extends EventEmitter {
     return this._processNextBatch();
   }
 
+  /**
+   * Registers a handler for tasks of a specific type, added via add(taskData, { type }).
+   * Each type has its own concurrency budget and retry policy, while maxConcurrent still bounds
+   * the total number of tasks this queue runs at once. Starts polling if autoProcess is enabled.
+   * @param {string} type - The task type
+   * @param {Function} handler - Function to process each task of this type, receives task data and a job context (see Job)
+   * @param {Object} [options={}] - Per-type options
+   * @param {number} [options.concurrency=this.maxConcurrent] - Maximum number of tasks of this type to process concurrently
+   * @param {number} [options.maxRetries=this.maxRetries] - Maximum number of retry attempts for failed tasks of this type
+   * @param {number} [options.baseRetryDelay=this.baseRetryDelay] - Base delay in milliseconds between retries of this type
+   * @param {string|Function} [options.backoff=this.backoff] - Retry delay strategy for this type, see the constructor
+   * @param {number|null} [options.maxRetryDelay=this.maxRetryDelay] - Upper bound in milliseconds for retry delays of this type
+   * @param {Function|null} [options.retryIf=this.retryIf] - Predicate (error, task) => boolean deciding whether failed tasks of this type may be retried
+   * @param {number} [options.timeout=this.timeout] - Handler timeout in milliseconds for tasks of this type
+   * @param {{max: number, duration: number}} [options.rateLimit] - At most max tasks of this type start per duration milliseconds, in addition to the queue's rate limit
+   * @returns {Queue} The queue instance, for chaining
+   * @throws {Error} When type is not a non-empty string, handler or retryIf is not a function, or the backoff or rate limit is invalid
+   */
+  define(type, handler, options = {}) {
+    if (typeof type !== 'string' || type.length === 0) {
+      throw new Error('Task type must be a non-empty string');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('Handler must be a function');
+    }
+
+    this.types.set(type, {
+      handler,
+      concurrency: options.concurrency || this.maxConcurrent,
+      maxRetries: options.maxRetries ?? this.maxRetries,
+      baseRetryDelay: options.baseRetryDelay || this.baseRetryDelay,
+      backoff:
+        options.backoff !== undefined
+          ? normalizeBackoff(options.backoff)
+          : this.backoff,
+      maxRetryDelay: options.maxRetryDelay || this.maxRetryDelay,
+      retryIf:
+        options.retryIf !== undefined
+          ? normalizeRetryIf(options.retryIf)
+          : this.retryIf,
+      timeout: options.timeout || this.timeout,
+      rateLimit: normalizeRateLimit(options.rateLimit),
+      running: this.types.get(type)?.running || 0,
+    });
+
+    this._recoverStalledTasks();
+    this._startStalledSweep();
+
+    if (this.autoProcess) {
+      this._startPolling();
+    }
+
+    return this;
+  }
+
   /**
    * Processes a single batch of tasks without setting up continuous processing.
-   * @param {Function} handler - Function to process each task, receives task data as parameter
+   * Tasks of types registered with define() are processed by their own handlers.
+   * @param {Function} [handler] - Function to process each untyped task, receives task data and a job context (optional if types are defined)
    * @returns {Promise<void>} Promise that resolves after batch processing completes
-   * @throws {Error} When handler is not a function
+   * @throws {Error} When handler is not a function and no types are defined
    */
   async processOnce(handler) {
-    if (typeof handler !== 'function') {
+    if (
+      typeof handler !== 'function' &&
+      !(handler == null && this.types.size)
+    ) {
       throw new Error('Handler must be a function');
     }
 
-    return this._processNextBatch(handler);
+    await this._recoverStalledTasks();
+    return this._processNextBatch(handler || null);
+  }
+
+  /**
+   * Extends the lease of a task this queue instance is currently processing. Leases of running
+   * tasks are renewed automatically; this is only needed to make a lease outlast leaseDuration,
+   * e.g. before blocking the event loop for longer than that. A lease is never shortened.
+   * @param {number} taskId - The ID of the task being processed
+   * @param {number} [duration=this.leaseDuration] - New lease length in milliseconds from now
+   * @returns {boolean} True if the lease was extended, false if this worker no longer owns the task
+   */
+  heartbeat(taskId, duration = this.leaseDuration) {
+    const leaseExpiresAt = new Date(Date.now() + duration).toISOString();
+    const { changes } = this.db.extendLease(
+      taskId,
+      this.workerId,
+      leaseExpiresAt
+    );
+    return changes > 0;
   }
 
   /**
@@ -115,33 +973,76 @@ class Queue extends EventEmitter {
     if (this.isProcessing && !oneTimeHandler) {
       return; // Already processing
     }
+    if (this.closing) {
+      return; // No new work once close() was called
+    }
 
     const handlerToUse = oneTimeHandler || this.handler;
-    if (!handlerToUse) {
+    if (!handlerToUse && this.types.size === 0) {
       throw new Error('No handler provided');
     }
 
     this.isProcessing = true;
 
     try {
-      const availableSlots = this.maxConcurrent - this.currentRunning;
+      const startedAt = Date.now();
+      this._materializeSchedules();
+
+      let availableSlots = this.maxConcurrent - this.currentRunning;
       if (availableSlots <= 0) {
         return;
       }
+      const paused = new Set(this.db.getPausedKeys());
 
-      const now = new Date().toISOString();
-      const tasks = this.db.getPendingTasks(availableSlots, now);
+      const now = Date.now();
+      const claimOptions = {
+        currentTime: new Date(now).toISOString(),
+        leaseExpiresAt: new Date(now + this.leaseDuration).toISOString(),
+        agingInterval: this.priorityAging,
+        groupConcurrency: this.groupConcurrency,
+        groupRateLimit: this.groupRateLimit,
+      };
 
-      const processingPromises = tasks.map((task) =>
-        this._processTask(task, handlerToUse)
-      );
+      const processingPromises = [];
+      let mayHaveMore = false;
+      let claimedCount = 0;
+      let skippedPaused = false;
+      for (const consumer of this._consumers(handlerToUse)) {
+        const limit = Math.min(availableSlots, consumer.slots);
+        if (limit <= 0) {
+          continue;
+        }
+        if (paused.has('queue') || paused.has(this._pauseKey(consumer.type))) {
+          skippedPaused = true;
+          continue;
+        }
+
+        const tasks = this.db.claimTasks(this.workerId, limit, {
+          ...claimOptions,
+          type: consumer.type,
+          rateLimits: consumer.rateLimits,
+        });
+        availableSlots -= tasks.length;
+        claimedCount += tasks.length;
+        // Finishing a grouped task may unblock the next task of its group
+        mayHaveMore =
+          mayHaveMore ||
+          tasks.length === limit ||
+          tasks.some((task) => task.group_key !== null);
+
+        for (const task of tasks) {
+          processingPromises.push(this._processTask(task, consumer.handler));
+        }
+      }
+      this.lastBatch = {
+        startedAt,
+        claimed: claimedCount,
+        paused: skippedPaused,
+      };
       await Promise.all(processingPromises);
 
       // If there might be more tasks, process them
-      if (
-        tasks.length === availableSlots &&
-        this.currentRunning < this.maxConcurrent
-      ) {
+      if (mayHaveMore && this.currentRunning < this.maxConcurrent) {
         setImmediate(() => this._processNextBatch(oneTimeHandler));
       }
     } catch (error) {
@@ -156,69 +1057,563 @@ class Queue extends EventEmitter {
   }
 
   /**
-   * Processes a single task with the provided handler.
+   * Lists the handlers that may claim tasks in the current batch, together with how many tasks
+   * each may still start. The order rotates between batches so no task type is starved.
+   * @private
+   * @param {Function|null} handler - Handler for untyped tasks, if any
+   * @returns {Array<{type: string|null, handler: Function, slots: number, rateLimits: Array<Object>}>} Handlers in claim order
+   */
+  _consumers(handler) {
+    const consumers = [];
+    if (handler) {
+      consumers.push({
+        type: null,
+        handler,
+        slots: Infinity,
+        rateLimits: this._rateLimits(null),
+      });
+    }
+    for (const [type, definition] of this.types) {
+      consumers.push({
+        type,
+        handler: definition.handler,
+        slots: definition.concurrency - definition.running,
+        rateLimits: this._rateLimits(type),
+      });
+    }
+
+    const offset = this.consumerOffset++ % Math.max(consumers.length, 1);
+    return [...consumers.slice(offset), ...consumers.slice(0, offset)];
+  }
+
+  /**
+   * Lists the rate limit buckets that tasks of a type count against: the queue's and the type's own.
+   * @private
+   * @param {string|null} type - The task type, or null for untyped tasks
+   * @returns {Array<{key: string, max: number, duration: number}>} The rate limit buckets
+   */
+  _rateLimits(type) {
+    const rateLimits = [];
+    if (this.rateLimit) {
+      rateLimits.push({ key: 'queue', ...this.rateLimit });
+    }
+    const definition = type !== null ? this.types.get(type) : null;
+    if (definition?.rateLimit) {
+      rateLimits.push({ key: `type:${type}`, ...definition.rateLimit });
+    }
+    return rateLimits;
+  }
+
+  /**
+   * Returns the retry policy for a task: its type's policy if defined, otherwise the queue defaults.
+   * @private
+   * @param {Object} task - The task object from the database
+   * @returns {{maxRetries: number, baseRetryDelay: number, backoff: string|Function, maxRetryDelay: number|null, jitter: boolean, retryIf: Function|null}} The retry policy
+   */
+  _retryPolicy(task) {
+    const definition = task.type !== null ? this.types.get(task.type) : null;
+    return {
+      maxRetries: definition?.maxRetries ?? this.maxRetries,
+      baseRetryDelay: definition?.baseRetryDelay ?? this.baseRetryDelay,
+      backoff: definition?.backoff ?? this.backoff,
+      maxRetryDelay: definition?.maxRetryDelay ?? this.maxRetryDelay,
+      jitter: this.jitter,
+      retryIf: definition ? definition.retryIf : this.retryIf,
+    };
+  }
+
+  /**
+   * Returns whether any handler is registered, either via process() or define().
+   * @private
+   * @returns {boolean} True if tasks can be processed continuously
+   */
+  _hasHandlers() {
+    return !!this.handler || this.types.size > 0;
+  }
+
+  /**
+   * Processes a single task with the provided handler.
+   * @private
+   * @param {Object} task - The task object from the database
+   * @param {Function} handler - The handler function to process the task
+   * @returns {Promise<void>} Promise that resolves after task processing
+   * @fires Queue#active
+   * @fires Queue#completed
+   * @fires Queue#drained
+   */
+  async _processTask(task, handler) {
+    const definition = task.type !== null ? this.types.get(task.type) : null;
+    const controller = new AbortController();
+    this.currentRunning++;
+    if (definition) {
+      definition.running++;
+    }
+    // A run still in flight for the same task lost its lease and must not touch the row anymore
+    this.running.get(task.id)?.controller.abort(new StalledError());
+    this.running.set(task.id, { task, controller });
+    this._startCancelMonitor();
+    this._startLeaseRenewal();
+
+    try {
+      let taskData;
+      try {
+        taskData = JSON.parse(task.task_data);
+      } catch (parseError) {
+        throw new Error(`Invalid task data JSON: ${parseError.message}`);
+      }
+
+      this.wasDrained = false;
+      this.wasIdle = false;
+      this.emit('active', {
+        taskId: task.id,
+        taskData,
+        type: task.type,
+        attempt: task.retry_count + 1,
+        workerId: task.worker_id,
+      });
+
+      const result = await this._runHandler(
+        handler,
+        taskData,
+        this._createJob(task, controller),
+        controller,
+        task.timeout_ms ?? definition?.timeout ?? this.timeout
+      );
+      if (controller.signal.reason instanceof StalledError) {
+        return;
+      }
+      const serializedResult = this._serializeResult(result, task);
+      const completed = this.db.transaction(() => {
+        const { changes } = this.db.completeTask(
+          task.id,
+          this.workerId,
+          serializedResult
+        );
+        // The task was removed or taken over while the handler was running
+        if (changes === 0) {
+          return false;
+        }
+        this._recordAttempt(task, 'completed');
+        return true;
+      });
+      if (!completed) {
+        return;
+      }
+      this.emit('completed', {
+        taskId: task.id,
+        taskData,
+        type: task.type,
+        attempt: task.retry_count + 1,
+        workerId: task.worker_id,
+        result,
+      });
+    } catch (error) {
+      if (controller.signal.reason instanceof CancelledError) {
+        // The task row is already cancelled, only the attempt remains to be recorded
+        this._recordAttempt(task, 'cancelled', controller.signal.reason);
+      } else if (controller.signal.reason instanceof StalledError) {
+        // The lease was lost; whoever recovered the task already recorded the stall
+      } else {
+        await this._handleTaskFailure(task, error);
+      }
+    } finally {
+      this.currentRunning--;
+      if (definition) {
+        definition.running--;
+      }
+      if (this.running.get(task.id)?.controller === controller) {
+        this.running.delete(task.id);
+      }
+      if (this.running.size === 0) {
+        this._stopCancelMonitor();
+        this._stopLeaseRenewal();
+        this._emitDrainedIfDone();
+      }
+    }
+  }
+
+  /**
+   * Starts polling the database for cancellations of tasks this queue is running, so that
+   * cancel() called from another process sharing the database also aborts the handler.
+   * @private
+   * @returns {void}
+   */
+  _startCancelMonitor() {
+    if (this.cancelTimer) {
+      return;
+    }
+
+    this.cancelTimer = setInterval(
+      () => this._checkCancellations(),
+      this.cancelCheckInterval
+    );
+    if (typeof this.cancelTimer.unref === 'function') {
+      this.cancelTimer.unref();
+    }
+  }
+
+  /**
+   * Stops polling for cancellations.
+   * @private
+   * @returns {void}
+   */
+  _stopCancelMonitor() {
+    if (this.cancelTimer) {
+      clearInterval(this.cancelTimer);
+      this.cancelTimer = null;
+    }
+  }
+
+  /**
+   * Starts renewing the leases of tasks this queue is running, so that handlers running longer
+   * than leaseDuration are not treated as stalled while this process is alive.
+   * @private
+   * @returns {void}
+   */
+  _startLeaseRenewal() {
+    if (this.leaseTimer) {
+      return;
+    }
+
+    this.leaseTimer = setInterval(
+      () => this._renewLeases(),
+      Math.max(1, Math.floor(this.leaseDuration / 3))
+    );
+    if (typeof this.leaseTimer.unref === 'function') {
+      this.leaseTimer.unref();
+    }
+  }
+
+  /**
+   * Stops renewing leases.
+   * @private
+   * @returns {void}
+   */
+  _stopLeaseRenewal() {
+    if (this.leaseTimer) {
+      clearInterval(this.leaseTimer);
+      this.leaseTimer = null;
+    }
+  }
+
+  /**
+   * Extends the leases of running tasks by leaseDuration. A task whose lease could not be extended
+   * was recovered as stalled, deleted or cancelled elsewhere: cancelled tasks are aborted with a
+   * CancelledError, the others with a StalledError so the handler stops working on a row it no
+   * longer owns.
+   * @private
+   * @returns {void}
+   * @fires Queue#cancelled
+   * @fires Queue#error
+   */
+  _renewLeases() {
+    try {
+      const leaseExpiresAt = new Date(
+        Date.now() + this.leaseDuration
+      ).toISOString();
+      const lost = [];
+      for (const [id, { controller }] of this.running) {
+        if (controller.signal.aborted) {
+          continue;
+        }
+        const { changes } = this.db.extendLease(
+          id,
+          this.workerId,
+          leaseExpiresAt
+        );
+        if (changes === 0) {
+          lost.push(id);
+        }
+      }
+      if (lost.length === 0) {
+        return;
+      }
+
+      const cancelled = new Set(this.db.getCancelledTaskIds(lost));
+      for (const id of lost) {
+        if (!cancelled.has(id)) {
+          this.running.get(id).controller.abort(new StalledError());
+        }
+      }
+      if (cancelled.size > 0) {
+        this._checkCancellations();
+      }
+    } catch (error) {
+      this.emit('error', { error, operation: 'renewLeases' });
+    }
+  }
+
+  /**
+   * Aborts the handlers of running tasks that were cancelled by another process.
+   * @private
+   * @returns {void}
+   * @fires Queue#cancelled
+   * @fires Queue#error
+   */
+  _checkCancellations() {
+    try {
+      const ids = [...this.running.keys()];
+      for (const id of this.db.getCancelledTaskIds(ids)) {
+        const entry = this.running.get(id);
+        if (!entry || entry.controller.signal.aborted) {
+          continue;
+        }
+        entry.controller.abort(new CancelledError());
+        this.emit('cancelled', {
+          taskId: id,
+          taskData: JSON.parse(entry.task.task_data),
+          previousStatus: 'processing',
+        });
+      }
+    } catch (error) {
+      this.emit('error', { error, operation: 'checkCancellations' });
+    }
+  }
+
+  /**
+   * Builds the job context passed to a handler as its second argument.
+   * @private
+   * @param {Object} task - The task object as claimed from the database
+   * @param {AbortController} controller - Controller whose signal is exposed to the handler
+   * @returns {Job} The job context
+   * @fires Queue#progress
+   */
+  _createJob(task, controller) {
+    const attempt = task.retry_count + 1;
+    return {
+      id: task.id,
+      attempt,
+      maxRetries: this._retryPolicy(task).maxRetries,
+      createdAt: parseTimestamp(task.created_at),
+      signal: controller.signal,
+      log: (message) => {
+        this.db.insertLog(
+          task.id,
+          attempt,
+          typeof message === 'string' ? message : JSON.stringify(message)
+        );
+      },
+      updateProgress: (progress, data) =>
+        this._updateProgress(task, progress, data),
+      extendLease: (duration) => this.heartbeat(task.id, duration),
+    };
+  }
+
+  /**
+   * Persists a task's progress and emits it, as reported through job.updateProgress().
+   * @private
+   * @param {Object} task - The task object as claimed from the database
+   * @param {number} progress - Progress reported by the handler, e.g. a fraction between 0 and 1
+   * @param {*} [data] - JSON-serializable details accompanying the progress
+   * @returns {boolean} True if the progress was recorded, false if this worker no longer owns the task
+   * @throws {Error} When progress is not a finite number
+   * @fires Queue#progress
+   */
+  _updateProgress(task, progress, data) {
+    if (!Number.isFinite(progress)) {
+      throw new Error('Progress must be a finite number');
+    }
+
+    const { changes } = this.db.updateProgress(
+      task.id,
+      this.workerId,
+      progress,
+      data === undefined ? null : JSON.stringify(data)
+    );
+    if (changes === 0) {
+      return false;
+    }
+    this.emit('progress', { taskId: task.id, progress, data });
+    return true;
+  }
+
+  /**
+   * Runs a handler with its job context. If the timeout elapses, the signal is aborted
+   * with a TimeoutError and the returned promise rejects right away, freeing the concurrency slot
+   * even if the handler ignores the signal.
+   * @private
+   * @param {Function} handler - The handler function to run
+   * @param {*} taskData - The parsed task data
+   * @param {Job} job - The job context passed to the handler
+   * @param {AbortController} controller - Controller whose signal is exposed as job.signal
+   * @param {number|null} timeout - Timeout in milliseconds, or null for no limit
+   * @returns {Promise<*>} The handler's result
+   * @throws {TimeoutError} When the handler does not settle within the timeout
+   */
+  async _runHandler(handler, taskData, job, controller, timeout) {
+    const { signal } = controller;
+    const aborted = new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), {
+        once: true,
+      });
+    });
+
+    const timer = timeout
+      ? setTimeout(() => controller.abort(new TimeoutError(timeout)), timeout)
+      : null;
+
+    try {
+      return await Promise.race([handler(taskData, job), aborted]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Appends an entry to the attempt history of a task.
    * @private
-   * @param {Object} task - The task object from the database
-   * @param {Function} handler - The handler function to process the task
-   * @returns {Promise<void>} Promise that resolves after task processing
-   * @fires Queue#completed
+   * @param {Object} task - The task object as claimed from the database
+   * @param {string} outcome - How the attempt ended
+   * @param {Error|null} [error=null] - The error that ended the attempt
+   * @returns {void}
    */
-  async _processTask(task, handler) {
-    this.currentRunning++;
-
-    try {
-      this.db.updateTaskStatus(task.id, 'processing', task.retry_count, null);
+  _recordAttempt(task, outcome, error = null) {
+    this.db.insertAttempt({
+      taskId: task.id,
+      attempt: task.retry_count + 1,
+      workerId: task.worker_id,
+      startedAt: task.started_at,
+      outcome,
+      error,
+    });
+  }
 
-      let taskData;
-      try {
-        taskData = JSON.parse(task.task_data);
-      } catch (parseError) {
-        throw new Error(`Invalid task data JSON: ${parseError.message}`);
-      }
+  /**
+   * Classifies an attempt's error for the attempt history.
+   * @private
+   * @param {Error} error - The error that ended the attempt
+   * @returns {string} The attempt outcome: 'stalled', 'timeout', 'shutdown' or 'failed'
+   */
+  _failureOutcome(error) {
+    if (error instanceof StalledError) {
+      return 'stalled';
+    }
+    if (error instanceof ShutdownError) {
+      return 'shutdown';
+    }
+    if (error instanceof TimeoutError) {
+      return 'timeout';
+    }
+    return 'failed';
+  }
 
-      const result = await handler(taskData);
-      this.db.updateTaskStatus(task.id, 'completed', task.retry_count, null);
-      this.emit('completed', { taskId: task.id, result, taskData });
+  /**
+   * Serializes a handler's return value for storage on the task row. A result that cannot be
+   * serialized is reported as an error and stored as null; the task still completes.
+   * @private
+   * @param {*} result - The value returned by the handler
+   * @param {Object} task - The task the handler processed
+   * @returns {string|null} JSON string representation, or null if the result is undefined or not serializable
+   * @fires Queue#error
+   */
+  _serializeResult(result, task) {
+    if (result === undefined) {
+      return null;
+    }
+    try {
+      return JSON.stringify(result) ?? null;
     } catch (error) {
-      await this._handleTaskFailure(task, error);
-    } finally {
-      this.currentRunning--;
+      this.emit('error', {
+        error,
+        operation: 'serializeResult',
+        taskId: task.id,
+      });
+      return null;
     }
   }
 
   /**
-   * Handles task failure by implementing retry logic with exponential backoff.
+   * Handles task failure by scheduling a retry according to the task's backoff strategy, or moving
+   * the task to the dead state once its retries are exhausted or the error is not retryable.
    * @private
    * @param {Object} task - The failed task object
    * @param {Error} error - The error that caused the task to fail
    * @returns {Promise<void>} Promise that resolves after handling the failure
+   * @fires Queue#stalled
+   * @fires Queue#attemptFailed
    * @fires Queue#retried
    * @fires Queue#failed
+   * @fires Queue#error
    */
   async _handleTaskFailure(task, error) {
-    const retryCount = task.retry_count + 1;
+    const policy = this._retryPolicy(task);
+    const attempt = task.retry_count + 1;
+    // A shutdown interrupts the task rather than failing it: it neither counts toward maxRetries
+    // nor waits for a backoff
+    const interrupted = error instanceof ShutdownError;
+    const retryCount = interrupted ? task.retry_count : attempt;
+    const willRetry =
+      interrupted ||
+      (retryCount <= policy.maxRetries &&
+        this._isRetryable(policy, error, task));
 
-    if (retryCount <= this.maxRetries) {
-      const baseDelay = this.baseRetryDelay * Math.pow(2, retryCount - 1);
-      const jitterDelay = this.jitter
-        ? baseDelay * (0.5 + Math.random() * 0.5)
-        : baseDelay;
-      const delay = Math.floor(jitterDelay);
-      const nextRetryAt = new Date(Date.now() + delay).toISOString();
-
-      this.db.updateTaskStatus(task.id, 'failed', retryCount, nextRetryAt);
+    let delay = null;
+    let nextRetryAt = null;
+    if (willRetry) {
+      delay = interrupted
+        ? 0
+        : this._retryDelay(policy, retryCount, error, task);
+      nextRetryAt = new Date(Date.now() + delay).toISOString();
+    }
 
-      let taskData;
-      try {
-        taskData = JSON.parse(task.task_data);
-      } catch (parseError) {
-        console.error('Error parsing task data:', parseError);
-        taskData = { raw: task.task_data };
+    const failed = this.db.transaction(() => {
+      const { changes } = this.db.failTask(
+        task.id,
+        task.worker_id,
+        retryCount,
+        nextRetryAt,
+        error,
+        interrupted ? task.retry_delay_ms : delay,
+        // A stalled task whose owner renewed the lease since the sweep read it is still running
+        error instanceof StalledError ? new Date().toISOString() : null
+      );
+      // The task was removed, already handled by another worker or its lease was renewed
+      if (changes === 0) {
+        return false;
       }
+      this._recordAttempt(task, this._failureOutcome(error), error);
+      return true;
+    });
+    if (!failed) {
+      return;
+    }
+
+    let taskData;
+    try {
+      taskData = JSON.parse(task.task_data);
+    } catch (parseError) {
+      console.error('Error parsing task data:', parseError);
+      taskData = { raw: task.task_data };
+    }
+
+    if (error instanceof StalledError) {
+      this.emit('stalled', {
+        taskId: task.id,
+        taskData,
+        type: task.type,
+        attempt,
+        workerId: task.worker_id,
+      });
+    }
+
+    this.emit('attemptFailed', {
+      taskId: task.id,
+      taskData,
+      type: task.type,
+      attempt,
+      workerId: task.worker_id,
+      error: error.message,
+      outcome: this._failureOutcome(error),
+      willRetry,
+    });
 
+    if (willRetry) {
       this.emit('retried', {
         taskId: task.id,
         taskData,
+        type: task.type,
+        attempt,
+        workerId: task.worker_id,
         retryCount,
         nextRetryAt,
         delay,
@@ -228,25 +1623,121 @@ class Queue extends EventEmitter {
       // Ensure a wake-up is scheduled for future processing
       this._scheduleNextWake();
     } else {
-      this.db.updateTaskStatus(task.id, 'failed', retryCount, null);
-
-      let taskData;
-      try {
-        taskData = JSON.parse(task.task_data);
-      } catch (parseError) {
-        console.error('Error parsing task data:', parseError);
-        taskData = { raw: task.task_data };
-      }
-
       this.emit('failed', {
         taskId: task.id,
-        error: error.message,
         taskData,
+        type: task.type,
+        attempt,
+        workerId: task.worker_id,
         retryCount,
+        error: error.message,
       });
     }
   }
 
+  /**
+   * Decides whether a failed attempt may be retried. UnrecoverableError is never retried; other
+   * errors are retried unless the policy's retryIf predicate returns false. A throwing predicate
+   * counts as retryable.
+   * @private
+   * @param {Object} policy - The task's retry policy, see _retryPolicy()
+   * @param {Error} error - The error the attempt failed with
+   * @param {Object} task - The failed task object
+   * @returns {boolean} True if the task may be retried
+   * @fires Queue#error
+   */
+  _isRetryable(policy, error, task) {
+    if (error instanceof UnrecoverableError) {
+      return false;
+    }
+    if (!policy.retryIf) {
+      return true;
+    }
+
+    try {
+      return Boolean(policy.retryIf(error, task));
+    } catch (retryIfError) {
+      this.emit('error', { error: retryIfError, operation: 'retryIf' });
+      return true;
+    }
+  }
+
+  /**
+   * Computes the delay before retrying a failed task. A RetryAfterError thrown by the handler
+   * overrides the backoff strategy; a failing custom backoff function falls back to exponential backoff.
+   * @private
+   * @param {Object} policy - The task's retry policy, see _retryPolicy()
+   * @param {number} retryCount - Number of the retry being scheduled, starting at 1
+   * @param {Error} error - The error the attempt failed with
+   * @param {Object} task - The failed task object
+   * @returns {number} Delay in milliseconds
+   * @fires Queue#error
+   */
+  _retryDelay(policy, retryCount, error, task) {
+    if (
+      error instanceof RetryAfterError &&
+      Number.isFinite(error.retryAfter) &&
+      error.retryAfter >= 0
+    ) {
+      return Math.floor(error.retryAfter);
+    }
+
+    try {
+      return computeRetryDelay(policy, retryCount, error, task);
+    } catch (backoffError) {
+      this.emit('error', { error: backoffError, operation: 'backoff' });
+      return computeRetryDelay(
+        { ...policy, backoff: 'exponential' },
+        retryCount,
+        error,
+        task
+      );
+    }
+  }
+
+  /**
+   * Returns tasks whose lease has expired to the retryable pool, counting the lost run as an attempt.
+   * Tasks this queue is still running are skipped; their leases are renewed while they run.
+   * @private
+   * @returns {Promise<void>} Promise that resolves after all stalled tasks have been handled
+   * @fires Queue#stalled
+   * @fires Queue#error
+   */
+  async _recoverStalledTasks() {
+    try {
+      const stalled = this.db
+        .getStalledTasks(new Date().toISOString())
+        .filter(
+          (task) =>
+            task.worker_id !== this.workerId || !this.running.has(task.id)
+        );
+      for (const task of stalled) {
+        await this._handleTaskFailure(task, new StalledError());
+      }
+    } catch (error) {
+      this.emit('error', { error, operation: 'recoverStalled' });
+    }
+  }
+
+  /**
+   * Starts the periodic sweep for stalled tasks. The timer is unref'd so it never keeps the process alive.
+   * @private
+   * @returns {void}
+   */
+  _startStalledSweep() {
+    if (this.stalledTimer) {
+      return;
+    }
+
+    this.stalledTimer = setInterval(
+      () => this._recoverStalledTasks(),
+      this.stalledInterval
+    );
+    if (typeof this.stalledTimer.unref === 'function') {
+      this.stalledTimer.unref();
+    }
+  }
+
   /**
    * Starts polling for new tasks at regular intervals.
    * @private
@@ -254,7 +1745,7 @@ class Queue extends EventEmitter {
    */
   _startPolling() {
     // Start by scheduling an immediate wake to process any ready tasks now
-    if (!this.isProcessing && this.handler) {
+    if (!this.isProcessing && this._hasHandlers()) {
       setImmediate(() => this._processNextBatch());
     }
 
@@ -274,17 +1765,18 @@ class Queue extends EventEmitter {
   }
 
   /**
-   * Schedule a one-shot wake-up based on the earliest next_retry_at.
+   * Schedule a one-shot wake-up based on the earliest next_retry_at or run_at.
    * Uses unref() so it won't keep the process alive when idle.
-   * If there are no scheduled retries, no timer is set.
+   * If there are no scheduled retries or delayed tasks, no timer is set.
    * @private
+   * @fires Queue#idle
    */
   _scheduleNextWake() {
     // Clear any existing timer first
     this.stopPolling();
 
-    // Nothing to schedule if we are not auto-processing or have no handler
-    if (!this.autoProcess || !this.handler) {
+    // Nothing to schedule if we are not auto-processing, have no handler or are closing
+    if (!this.autoProcess || !this._hasHandlers() || this.closing) {
       return;
     }
 
@@ -293,17 +1785,58 @@ class Queue extends EventEmitter {
       return;
     }
 
+    const now = Date.now();
+    const wakeTimes = [];
+    // Ready work the last batch left behind, e.g. tasks added while it ran, is claimed right away.
+    // After a batch that claimed nothing it is polled for, see below.
+    if (this._hasReadyTasks()) {
+      wakeTimes.push(
+        this.lastBatch?.claimed === 0 ? now + this.pollingInterval : now
+      );
+    }
     const earliest = this.db.getEarliestNextRetryTime();
+    if (earliest) {
+      let wakeAt = new Date(earliest).getTime();
+      // Work that was already due but could not be claimed, e.g. because another process holds its
+      // group or this process has no handler for its type, is polled for instead of retried right away
+      if (this.lastBatch?.claimed === 0 && wakeAt <= this.lastBatch.startedAt) {
+        wakeAt = now + this.pollingInterval;
+      }
+      wakeTimes.push(wakeAt);
+    }
+
+    // Tasks held back by a rate limit can start once its window closes. Windows that closed before
+    // a batch that claimed nothing held nothing back.
+    const rateLimitReset = this._rateLimitResetTime(
+      this.lastBatch?.claimed === 0 ? this.lastBatch.startedAt : null
+    );
+    if (rateLimitReset) {
+      wakeTimes.push(new Date(rateLimitReset).getTime());
+    }
 
-    // No scheduled retries, remain idle. New tasks will wake via add().
-    if (!earliest) {
+    // A pause may be lifted by another process sharing the database, which cannot wake this one
+    if (this.lastBatch?.paused) {
+      wakeTimes.push(now + this.pollingInterval);
+    }
+
+    // No ready, scheduled, rate limited or paused work, remain idle. New tasks will wake via add().
+    if (wakeTimes.length === 0) {
+      if (!this.wasIdle) {
+        this.wasIdle = true;
+        this.emit('idle', { workerId: this.workerId });
+      }
       return;
     }
+    this.wasIdle = false;
 
-    const delay = Math.max(0, new Date(earliest).getTime() - Date.now());
+    // Far-off wake-ups are split into several timers since setTimeout cannot wait longer
+    const delay = Math.min(
+      MAX_TIMER_DELAY,
+      Math.max(0, Math.min(...wakeTimes) - now)
+    );
     const timer = setTimeout(() => {
       // Guard: handler might have been removed/stopped
-      if (!this.isProcessing && this.handler) {
+      if (!this.isProcessing && this._hasHandlers()) {
         this._processNextBatch();
       }
     }, delay);
@@ -316,16 +1849,44 @@ class Queue extends EventEmitter {
     this.pollingTimer = timer;
   }
 
+  /**
+   * Returns when the earliest exhausted rate limit this queue applies reopens.
+   * @private
+   * @param {number|null} after - Only consider windows closing after this time in milliseconds since the epoch
+   * @returns {string|null} ISO timestamp, or null if no rate limit is exhausted
+   */
+  _rateLimitResetTime(after) {
+    const rateLimits = new Map();
+    for (const type of [null, ...this.types.keys()]) {
+      for (const rateLimit of this._rateLimits(type)) {
+        rateLimits.set(rateLimit.key, rateLimit);
+      }
+    }
+    if (rateLimits.size === 0 && !this.groupRateLimit) {
+      return null;
+    }
+    return this.db.getRateLimitResetTime({
+      rateLimits: [...rateLimits.values()],
+      groupRateLimit: this.groupRateLimit,
+      after: after === null ? null : new Date(after).toISOString(),
+    });
+  }
+
   /**
    * Retrieves statistics about tasks grouped by their status.
+   * @param {string|null} [type] - Only count tasks of this type (null for untyped tasks); counts all tasks when omitted
    * @returns {Array<Object>} Array of objects with status and count properties
    */
-  getStats() {
-    return this.db.getTaskStats();
+  getStats(type) {
+    return this.db.getTaskStats(type);
   }
 
   /**
    * Retrieves a specific task by its ID.
+   * Besides the task data and status, the row records the JSON-serialized handler result,
+   * the last error (error_message, error_name, error_stack), when the last attempt
+   * started and finished (started_at, finished_at) and the progress it reported
+   * (progress, JSON-serialized progress_data).
    * @param {number} id - The ID of the task to retrieve
    * @returns {Object|undefined} The task object if found, undefined otherwise
    */
@@ -333,6 +1894,248 @@ class Queue extends EventEmitter {
     return this.db.getTaskById(id);
   }
 
+  /**
+   * Retrieves the attempt history of a task, oldest attempt first. Each record holds the attempt
+   * number, worker_id, started_at, finished_at, duration_ms, outcome and the error, if any.
+   * @param {number} taskId - The ID of the task
+   * @returns {Array<Object>} Array of attempt records
+   */
+  getAttempts(taskId) {
+    return this.db.getAttempts(taskId);
+  }
+
+  /**
+   * Retrieves the log lines a task's handler wrote through job.log(), oldest first.
+   * Each record holds the attempt number, message and created_at.
+   * @param {number} taskId - The ID of the task
+   * @returns {Array<Object>} Array of log records
+   */
+  getLogs(taskId) {
+    return this.db.getLogs(taskId);
+  }
+
+  /**
+   * Cancels a task. Pending and retrying tasks will not run again; if the task is currently running,
+   * its handler's AbortSignal is aborted with a CancelledError, either right away when this queue
+   * runs it or within cancelCheckInterval when another process sharing the database does.
+   * @param {number} id - The ID of the task to cancel
+   * @returns {boolean} True if the task was cancelled, false if it does not exist or already finished
+   * @fires Queue#cancelled
+   */
+  cancel(id) {
+    const task = this.db.cancelTask(id);
+    if (!task) {
+      return false;
+    }
+
+    this.running.get(id)?.controller.abort(new CancelledError());
+
+    let taskData;
+    try {
+      taskData = JSON.parse(task.task_data);
+    } catch (parseError) {
+      console.error('Error parsing task data:', parseError);
+      taskData = { raw: task.task_data };
+    }
+
+    this.emit('cancelled', {
+      taskId: id,
+      taskData,
+      previousStatus: task.status,
+    });
+    return true;
+  }
+
+  /**
+   * Lists tasks in the terminal dead state (retries exhausted), most recently failed first.
+   * @param {Object} [options={}] - Listing options
+   * @param {number} [options.limit=50] - Maximum number of tasks to return
+   * @param {number} [options.offset=0] - Number of tasks to skip
+   * @param {string|null} [options.type] - Only list tasks of this type (null for untyped tasks)
+   * @returns {Array<Object>} Array of dead task objects
+   */
+  listDead(options = {}) {
+    return this.db.getDeadTasks(options);
+  }
+
+  /**
+   * Moves dead tasks back to pending with their retry count reset, so they are run again.
+   * @param {number|Object} [target={}] - A task ID, or a filter: { ids, type }; requeues all dead tasks when omitted
+   * @returns {number} Number of requeued tasks
+   * @fires Queue#requeued
+   */
+  requeue(target = {}) {
+    const filter = typeof target === 'number' ? { ids: [target] } : target;
+    const taskIds = this.db.requeueDeadTasks(filter);
+
+    if (taskIds.length > 0) {
+      this.emit('requeued', { taskIds });
+
+      if (this.autoProcess && this._hasHandlers() && !this.isProcessing) {
+        this.stopPolling();
+        setImmediate(() => this._processNextBatch());
+      }
+    }
+
+    return taskIds.length;
+  }
+
+  /**
+   * Deletes dead tasks together with their attempt history and logs.
+   * @param {Object} [filter={}] - Which dead tasks to delete: { ids, type }; deletes all dead tasks when omitted
+   * @returns {number} Number of deleted tasks
+   */
+  purgeDead(filter = {}) {
+    return this.db.deleteDeadTasks(filter).changes;
+  }
+
+  /**
+   * Pauses claiming of new tasks, for the whole queue or a single task type. The pause is stored in
+   * the database, so every process sharing it stops claiming within its next batch; paused processes
+   * poll every pollingInterval to notice resume(). Tasks already running are not interrupted; with
+   * drain the returned promise waits until they have finished.
+   * @param {Object} [options={}] - Pause options
+   * @param {string|null} [options.type=null] - Task type to pause, or null to pause the whole queue
+   * @param {boolean} [options.drain=false] - Whether to wait for this queue's running tasks of the paused scope
+   * @returns {Promise<void>} Promise that resolves once paused, and drained if requested
+   * @fires Queue#paused
+   */
+  async pause(options = {}) {
+    const { type = null, drain = false } = options;
+    const { changes } = this.db.pause(this._pauseKey(type));
+    if (changes > 0) {
+      this.emit('paused', { type });
+    }
+
+    if (drain) {
+      await this._waitForRunning(type);
+    }
+  }
+
+  /**
+   * Resumes claiming after pause() for the whole queue or a single task type. Pausing the whole
+   * queue and pausing a type are independent, so each has to be resumed separately.
+   * @param {Object} [options={}] - Resume options
+   * @param {string|null} [options.type=null] - Task type to resume, or null to resume the whole queue
+   * @returns {void}
+   * @fires Queue#resumed
+   */
+  resume(options = {}) {
+    const { type = null } = options;
+    const { changes } = this.db.resume(this._pauseKey(type));
+    if (changes === 0) {
+      return;
+    }
+
+    this.emit('resumed', { type });
+
+    if (this.autoProcess && this._hasHandlers() && !this.isProcessing) {
+      this.stopPolling();
+      setImmediate(() => this._processNextBatch());
+    }
+  }
+
+  /**
+   * Returns whether claiming is paused for the whole queue or, when a type is given, for that type.
+   * @param {string|null} [type=null] - Task type to check, or null for the whole queue
+   * @returns {boolean} True if tasks of the given scope are not being claimed
+   */
+  isPaused(type = null) {
+    const paused = this.db.getPausedKeys();
+    return paused.includes('queue') || paused.includes(this._pauseKey(type));
+  }
+
+  /**
+   * Returns the key under which a pause is stored in the database.
+   * @private
+   * @param {string|null} type - The task type, or null for the whole queue
+   * @returns {string} The pause key
+   */
+  _pauseKey(type) {
+    return type === null ? 'queue' : `type:${type}`;
+  }
+
+  /**
+   * Waits until this queue runs no more tasks of the given type.
+   * @private
+   * @param {string|null} type - The task type, or null for all tasks
+   * @param {number|null} [timeout=null] - Milliseconds after which to stop waiting, or null to wait indefinitely
+   * @returns {Promise<boolean>} Promise that resolves to true when the tasks have finished, false on timeout
+   */
+  async _waitForRunning(type, timeout = null) {
+    const deadline = timeout === null ? Infinity : Date.now() + timeout;
+    const isRunning = () =>
+      [...this.running.values()].some(
+        ({ task }) => type === null || task.type === type
+      );
+    while (isRunning()) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        return false;
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(100, remaining))
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Waits until no task this queue has a handler for is ready to run and none is running in this
+   * queue. Tasks of paused types and tasks scheduled for later do not count. Useful before
+   * shutting down and in tests.
+   * @returns {Promise<void>} Promise that resolves once the queue is drained
+   */
+  async drain() {
+    while (this.running.size > 0 || this._hasReadyTasks()) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Emits 'drained' once no task is running in this queue and none it could run is ready,
+   * unless it was already emitted since the last task became active.
+   * @private
+   * @returns {void}
+   * @fires Queue#drained
+   * @fires Queue#error
+   */
+  _emitDrainedIfDone() {
+    if (this.wasDrained || this.running.size > 0) {
+      return;
+    }
+
+    try {
+      if (this._hasReadyTasks()) {
+        return;
+      }
+    } catch (error) {
+      this.emit('error', { error, operation: 'drained' });
+      return;
+    }
+    this.wasDrained = true;
+    this.emit('drained', { workerId: this.workerId });
+  }
+
+  /**
+   * Returns whether a task this queue has an unpaused handler for is ready to run.
+   * @private
+   * @returns {boolean} True if such a task is ready
+   */
+  _hasReadyTasks() {
+    const paused = new Set(this.db.getPausedKeys());
+    if (paused.has('queue')) {
+      return false;
+    }
+    const types = [...this.types.keys()];
+    if (this.handler) {
+      types.push(null);
+    }
+    return this.db.hasReadyTasks(
+      types.filter((type) => type === null || !paused.has(`type:${type}`))
+    );
+  }
+
   /**
    * Deletes completed tasks older than the specified time period.
    * @param {number} [olderThanHours=24] - Tasks older than this many hours will be deleted
@@ -343,31 +2146,99 @@ class Queue extends EventEmitter {
   }
 
   /**
-   * Gracefully closes the queue by stopping polling and waiting for running tasks to complete.
+   * Gracefully closes the queue: stops claiming new tasks and waits for running tasks to complete.
+   * With a timeout, handlers still running at the deadline are aborted with a ShutdownError and
+   * their tasks are ready to run again right away, without the interrupted attempt counting toward
+   * maxRetries. Pending waitFor() calls are rejected once the running tasks have finished. Calling
+   * close() again returns the same promise.
+   * @param {Object} [options={}] - Close options
+   * @param {number|null} [options.timeout=null] - Milliseconds to wait for running tasks before aborting them, or null to wait indefinitely
+   * @returns {Promise<void>} Promise that resolves when the queue is fully closed
+   */
+  close(options = {}) {
+    if (!this.closing) {
+      this.closing = this._close(options);
+    }
+    return this.closing;
+  }
+
+  /**
+   * Closes the queue, see close().
+   * @private
+   * @param {Object} options - Close options
+   * @param {number|null} [options.timeout=null] - Milliseconds to wait for running tasks before aborting them
    * @returns {Promise<void>} Promise that resolves when the queue is fully closed
    */
-  async close() {
+  async _close({ timeout = null }) {
     this.stopPolling();
+    this._removeSignalHandlers();
+    if (this.stalledTimer) {
+      clearInterval(this.stalledTimer);
+      this.stalledTimer = null;
+    }
 
-    // Wait for current tasks to finish
-    while (this.currentRunning > 0) {
-      await new Promise((resolve) => setTimeout(resolve, 100));
+    // Wait for current tasks to finish, aborting those still running at the deadline
+    if (!(await this._waitForRunning(null, timeout))) {
+      for (const { controller } of this.running.values()) {
+        controller.abort(new ShutdownError(timeout));
+      }
+      await this._waitForRunning(null);
+    }
+    this._stopCancelMonitor();
+    this._stopLeaseRenewal();
+
+    // Tasks still being waited for will not be observed through this queue anymore
+    for (const taskId of [...this.waiters.keys()]) {
+      this._settleWaiters(taskId, ({ reject }) =>
+        reject(new Error('Queue closed'))
+      );
     }
 
     return this.db.close();
   }
 
+  /**
+   * Registers the queue to be closed with shutdownTimeout on the signals in handleSignals. Once
+   * every queue handling a signal has closed, the signal is re-raised so the process terminates as
+   * it would have without them. A second signal arriving during shutdown is not intercepted.
+   * @private
+   * @returns {void}
+   */
+  _installSignalHandlers() {
+    for (const signal of this.handleSignals) {
+      addSignalQueue(signal, this);
+    }
+  }
+
+  /**
+   * Unregisters the queue from the signals it was registered for by _installSignalHandlers().
+   * @private
+   * @returns {void}
+   */
+  _removeSignalHandlers() {
+    for (const signal of this.handleSignals) {
+      removeSignalQueue(signal, this);
+    }
+  }
+
   /**
    * Gets the current status of the queue.
-   * @returns {Object} Status object with currentRunning, maxConcurrent, isProcessing, autoProcess, and hasHandler properties
+   * @returns {Object} Status object with workerId, currentRunning, maxConcurrent, isProcessing, autoProcess, hasHandler and per-type types properties
    */
   get status() {
     return {
+      workerId: this.workerId,
       currentRunning: this.currentRunning,
       maxConcurrent: this.maxConcurrent,
       isProcessing: this.isProcessing,
       autoProcess: this.autoProcess,
-      hasHandler: !!this.handler,
+      hasHandler: this._hasHandlers(),
+      types: Object.fromEntries(
+        [...this.types].map(([type, definition]) => [
+          type,
+          { running: definition.running, concurrency: definition.concurrency },
+        ])
+      ),
     };
   }
 }
@@ -0,0 +1,113 @@
+import { CronExpressionParser } from 'cron-parser';
+
+/**
+ * Maximum number of missed occurrences materialized for a single schedule in one sweep when the
+ * catch-up policy is 'all'. Remaining occurrences are picked up by the following sweeps.
+ */
+const MAX_CATCH_UP_RUNS = 1000;
+
+/**
+ * Supported catch-up policies for occurrences missed while no process was running.
+ * - 'latest': enqueue a single task for the most recent missed occurrence
+ * - 'all': enqueue one task for every missed occurrence
+ */
+const CATCH_UP_POLICIES = ['latest', 'all'];
+
+/**
+ * Validates a repeat definition as accepted by Queue#repeat.
+ * @param {string|{every: number}} pattern - Cron expression or an object with an interval in milliseconds
+ * @param {string|null} [timezone=null] - IANA timezone the cron expression is evaluated in
+ * @returns {{pattern: string|null, every: number|null, timezone: string|null}} The normalized definition
+ * @throws {Error} When the cron expression, interval or timezone is invalid
+ */
+function normalizeRepeat(pattern, timezone = null) {
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+  }
+
+  if (typeof pattern === 'string') {
+    try {
+      CronExpressionParser.parse(pattern, { tz: timezone || undefined });
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${pattern}": ${error.message}`);
+    }
+    return { pattern, every: null, timezone };
+  }
+
+  const every = pattern?.every;
+  if (!Number.isFinite(every) || every <= 0) {
+    throw new Error(
+      'Repeat interval must be a positive number of milliseconds'
+    );
+  }
+  return { pattern: null, every, timezone: null };
+}
+
+/**
+ * Computes the first occurrence of a schedule strictly after the given time.
+ * @param {Object} schedule - Schedule row (pattern, every_ms, timezone)
+ * @param {Date} after - Time after which the occurrence must fall
+ * @returns {Date} The next occurrence
+ */
+function nextRunAfter(schedule, after) {
+  if (schedule.every_ms) {
+    return new Date(after.getTime() + schedule.every_ms);
+  }
+  return CronExpressionParser.parse(schedule.pattern, {
+    currentDate: after,
+    tz: schedule.timezone || undefined,
+  })
+    .next()
+    .toDate();
+}
+
+/**
+ * Determines which occurrences of a due schedule should be materialized as tasks, according to
+ * the schedule's catch-up policy, and when the schedule is due next.
+ * @param {Object} schedule - Schedule row whose next_run_at is not after now
+ * @param {Date} now - Current time
+ * @returns {{runTimes: Array<string>, nextRunAt: string}} ISO timestamps of the occurrences to enqueue and of the next occurrence
+ */
+function collectDueRuns(schedule, now) {
+  const runTimes = [];
+  let next = new Date(schedule.next_run_at);
+
+  if (schedule.catch_up === 'all') {
+    while (next <= now && runTimes.length < MAX_CATCH_UP_RUNS) {
+      runTimes.push(next.toISOString());
+      next = schedule.every_ms
+        ? new Date(next.getTime() + schedule.every_ms)
+        : nextRunAfter(schedule, next);
+    }
+    return { runTimes, nextRunAt: next.toISOString() };
+  }
+
+  // 'latest': coalesce all missed occurrences into the most recent one
+  let latest;
+  if (schedule.every_ms) {
+    const missed = Math.floor(
+      (now.getTime() - next.getTime()) / schedule.every_ms
+    );
+    latest = new Date(next.getTime() + missed * schedule.every_ms);
+    next = new Date(latest.getTime() + schedule.every_ms);
+  } else {
+    latest = CronExpressionParser.parse(schedule.pattern, {
+      currentDate: new Date(now.getTime() + 1),
+      tz: schedule.timezone || undefined,
+    })
+      .prev()
+      .toDate();
+    if (latest < next) {
+      latest = next;
+    }
+    next = nextRunAfter(schedule, now);
+  }
+  runTimes.push(latest.toISOString());
+  return { runTimes, nextRunAt: next.toISOString() };
+}
+
+export { CATCH_UP_POLICIES, normalizeRepeat, nextRunAfter, collectDueRuns };
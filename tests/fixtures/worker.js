@@ -0,0 +1,32 @@
+/**
+ * Worker process for the shared database tests: processes batches of tasks from the database file
+ * given as the first argument and reports every handler invocation to the parent process. Sends
+ * 'ready' once it is processing and closes the queue and exits when it receives 'stop'.
+ */
+import Queue from '../../src/index.js';
+
+const queue = new Queue({
+  dbPath: process.argv[2],
+  autoProcess: false,
+  maxConcurrent: 2,
+});
+let stopping = false;
+
+process.on('message', (message) => {
+  if (message === 'stop') {
+    stopping = true;
+  }
+});
+process.send('ready');
+
+// Tasks added by another process do not wake this one, so batches are claimed in a loop
+while (!stopping) {
+  await queue.processOnce(async (taskData) => {
+    process.send({ i: taskData.i, pid: process.pid });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+await queue.close();
+process.disconnect();
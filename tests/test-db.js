@@ -1,4 +1,7 @@
 import { describe, beforeEach, afterEach, it, expect } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import Database from '../src/db.js';
 
 describe('Database', () => {
@@ -23,6 +26,63 @@ describe('Database', () => {
       db.initialize();
       db.initialize(); // Should not throw
     });
+
+    it('should move exhausted tasks from older versions to the dead state', async () => {
+      const taskId = db.insertTask('{"test": "data"}');
+      db.updateTaskStatus(taskId, 'failed', 16, null);
+
+      db.initialized = false;
+      db.initialize();
+
+      expect(db.getTaskById(taskId).status).toBe('dead');
+    });
+  });
+
+  describe('prepared statements', () => {
+    it('should prepare each SQL string only once', () => {
+      const first = db._prepare('SELECT 1 AS value');
+      const second = db._prepare('SELECT 1 AS value');
+
+      expect(second).toBe(first);
+      expect(db.get('SELECT 1 AS value')).toEqual({ value: 1 });
+    });
+
+    it('should evict the least recently used statements', () => {
+      const kept = db._prepare('SELECT 0 AS value');
+      for (let i = 1; i <= 250; i++) {
+        db._prepare(`SELECT ${i} AS value`);
+        db._prepare('SELECT 0 AS value');
+      }
+
+      expect(db.statements.size).toBe(200);
+      expect(db._prepare('SELECT 0 AS value')).toBe(kept);
+      expect(db.statements.has('SELECT 1 AS value')).toBe(false);
+    });
+  });
+
+  describe('transaction', () => {
+    it('should commit and return the function result', () => {
+      const ids = db.transaction(() => [
+        db.insertTask('{"n":1}'),
+        db.insertTask('{"n":2}'),
+      ]);
+
+      expect(ids).toHaveLength(2);
+      expect(db.getTaskById(ids[1])).toBeDefined();
+    });
+
+    it('should roll back everything when the function throws', () => {
+      expect(() =>
+        db.transaction(() => {
+          db.insertTask('{"n":1}');
+          // Nested transactions join the outer one
+          db.insertTasks(['{"n":2}']);
+          throw new Error('abort');
+        })
+      ).toThrow('abort');
+
+      expect(db.getTaskStats()).toEqual([]);
+    });
   });
 
   describe('insertTask', () => {
@@ -42,6 +102,46 @@ describe('Database', () => {
     });
   });
 
+  describe('insertTasks', () => {
+    it('should insert all tasks in order', () => {
+      const ids = db.insertTasks(['{"n":1}', '{"n":2}'], { priority: 2 });
+
+      expect(ids).toHaveLength(2);
+      expect(ids[1]).toBeGreaterThan(ids[0]);
+      expect(db.getTaskById(ids[0]).task_data).toBe('{"n":1}');
+      expect(db.getTaskById(ids[1]).priority).toBe(2);
+    });
+
+    it('should insert nothing when one insert fails', () => {
+      expect(() => db.insertTasks(['{"n":1}', null])).toThrow();
+      expect(db.getTaskStats()).toEqual([]);
+    });
+  });
+
+  describe('insertUniqueTask', () => {
+    it('should enforce one holder per unique key at the index level', () => {
+      db.insertTask('{}', { uniqueKey: 'k', uniqueFor: 'active' });
+
+      expect(() =>
+        db.insertTask('{}', { uniqueKey: 'k', uniqueFor: 'active' })
+      ).toThrow(/UNIQUE constraint failed/);
+    });
+
+    it('should release expired time windows before checking for duplicates', () => {
+      const past = new Date(Date.now() - 1000).toISOString();
+      const first = db.insertUniqueTask('{}', {
+        uniqueKey: 'k',
+        uniqueUntil: past,
+      });
+
+      const second = db.insertUniqueTask('{}', { uniqueKey: 'k' });
+
+      expect(first.duplicate).toBe(false);
+      expect(second).toEqual({ id: first.id + 1, duplicate: false });
+      expect(db.getTaskById(first.id).unique_key).toBeNull();
+    });
+  });
+
   describe('getPendingTasks', () => {
     it('should return empty array when no tasks exist', async () => {
       const tasks = db.getPendingTasks();
@@ -90,6 +190,324 @@ describe('Database', () => {
     });
   });
 
+  describe('claimTasks', () => {
+    it('should mark claimed tasks as processing for the worker', () => {
+      const taskId1 = db.insertTask('{"test": "data1"}');
+      const taskId2 = db.insertTask('{"test": "data2"}');
+
+      const tasks = db.claimTasks('worker-a', 5);
+      expect(tasks.map((t) => t.id)).toEqual([taskId1, taskId2]);
+      expect(tasks[0].status).toBe('processing');
+      expect(tasks[0].worker_id).toBe('worker-a');
+
+      expect(db.claimTasks('worker-b', 5)).toHaveLength(0);
+    });
+
+    it('should never hand the same task to two connections', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'litequu-'));
+      const dbPath = join(dir, 'shared.db');
+      const first = new Database(dbPath);
+      const second = new Database(dbPath);
+
+      try {
+        for (let i = 0; i < 10; i++) {
+          first.insertTask(JSON.stringify({ i }));
+        }
+
+        const claimed = [];
+        while (claimed.length < 10) {
+          claimed.push(...first.claimTasks('worker-a', 3));
+          claimed.push(...second.claimTasks('worker-b', 3));
+        }
+
+        const ids = claimed.map((t) => t.id);
+        expect(new Set(ids).size).toBe(10);
+      } finally {
+        first.close();
+        second.close();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('groups', () => {
+    it('should claim grouped tasks oldest first within the group concurrency', () => {
+      const a1 = db.insertTask('{"n":"a1"}', { groupKey: 'a' });
+      const a2 = db.insertTask('{"n":"a2"}', { groupKey: 'a', priority: 10 });
+      const b1 = db.insertTask('{"n":"b1"}', { groupKey: 'b' });
+      const free = db.insertTask('{"n":"free"}');
+
+      const first = db.claimTasks('worker-a', 10);
+      expect(first.map((t) => t.id)).toEqual([a1, b1, free]);
+      expect(db.claimTasks('worker-b', 10)).toHaveLength(0);
+
+      db.completeTask(a1, 'worker-a');
+      expect(db.claimTasks('worker-b', 10).map((t) => t.id)).toEqual([a2]);
+    });
+
+    it('should hold back newer tasks of a group while an older one waits for its retry', () => {
+      const [a1, a2] = db.insertTasks(['{}', '{}'], { groupKey: 'a' });
+      const free = db.insertTask('{}');
+      db.claimTasks('worker-a', 1);
+      const later = new Date(Date.now() + 60000).toISOString();
+      db.failTask(a1, 'worker-a', 1, later, new Error('boom'));
+
+      expect(db.claimTasks('worker-a', 10).map((t) => t.id)).toEqual([free]);
+      expect(
+        db.claimTasks('worker-a', 10, { groupConcurrency: 2 }).map((t) => t.id)
+      ).toEqual([a2]);
+
+      db.completeTask(a2, 'worker-a');
+      expect(
+        db
+          .claimTasks('worker-a', 10, {
+            currentTime: new Date(Date.now() + 120000).toISOString(),
+          })
+          .map((t) => t.id)
+      ).toEqual([a1]);
+    });
+
+    it('should allow several tasks of a group with a higher group concurrency', () => {
+      const ids = db.insertTasks(['{}', '{}', '{}'], { groupKey: 'a' });
+
+      expect(
+        db.claimTasks('worker-a', 10, { groupConcurrency: 2 }).map((t) => t.id)
+      ).toEqual(ids.slice(0, 2));
+      expect(
+        db.claimTasks('worker-b', 10, { groupConcurrency: 2 })
+      ).toHaveLength(0);
+    });
+  });
+
+  describe('rate limits', () => {
+    const rateLimits = [{ key: 'queue', max: 2, duration: 1000 }];
+
+    it('should start at most max tasks per window', () => {
+      db.insertTasks(['{}', '{}', '{}', '{}', '{}']);
+      const start = Date.now();
+      const at = (ms) => new Date(start + ms).toISOString();
+
+      expect(
+        db.claimTasks('worker-a', 5, { currentTime: at(0), rateLimits })
+      ).toHaveLength(2);
+      expect(
+        db.claimTasks('worker-a', 5, { currentTime: at(500), rateLimits })
+      ).toHaveLength(0);
+      expect(db.getRateLimitResetTime({ rateLimits })).toBe(at(1000));
+
+      expect(
+        db.claimTasks('worker-a', 5, { currentTime: at(1000), rateLimits })
+      ).toHaveLength(2);
+      expect(db.getRateLimitResetTime({ rateLimits })).toBe(at(2000));
+      expect(
+        db.getRateLimitResetTime({ rateLimits, after: at(2000) })
+      ).toBeNull();
+    });
+
+    it('should share limiter state between connections to the same file', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'litequu-'));
+      const dbPath = join(dir, 'shared.db');
+      const first = new Database(dbPath);
+      const second = new Database(dbPath);
+
+      try {
+        first.insertTasks(['{}', '{}', '{}']);
+        expect(first.claimTasks('worker-a', 1, { rateLimits })).toHaveLength(1);
+        expect(second.claimTasks('worker-b', 5, { rateLimits })).toHaveLength(
+          1
+        );
+        expect(first.claimTasks('worker-a', 5, { rateLimits })).toHaveLength(0);
+      } finally {
+        first.close();
+        second.close();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should limit each group key separately', () => {
+      const a = db.insertTasks(['{}', '{}'], { groupKey: 'a' });
+      const b = db.insertTasks(['{}'], { groupKey: 'b' });
+      const free = db.insertTask('{}');
+      const options = {
+        groupConcurrency: 10,
+        groupRateLimit: { max: 1, duration: 1000 },
+      };
+
+      expect(db.claimTasks('worker-a', 10, options).map((t) => t.id)).toEqual([
+        a[0],
+        b[0],
+        free,
+      ]);
+      expect(db.claimTasks('worker-a', 10, options)).toHaveLength(0);
+      expect(
+        db.getRateLimitResetTime({ groupRateLimit: options.groupRateLimit })
+      ).not.toBeNull();
+    });
+  });
+
+  describe('scheduled tasks', () => {
+    it('should not return tasks whose run_at lies in the future', () => {
+      const future = new Date(Date.now() + 10000).toISOString();
+      const past = new Date(Date.now() - 1000).toISOString();
+      db.insertTask('{"test": "later"}', { runAt: future });
+      const dueId = db.insertTask('{"test": "due"}', { runAt: past });
+
+      expect(db.getPendingTasks().map((t) => t.id)).toEqual([dueId]);
+      const tasks = db.claimTasks('worker-a', 10);
+      expect(tasks.map((t) => t.id)).toEqual([dueId]);
+    });
+
+    it('should include run_at in the earliest wake-up time', () => {
+      const runAt = new Date(Date.now() + 5000).toISOString();
+      const retryAt = new Date(Date.now() + 10000).toISOString();
+      db.insertTask('{"test": "later"}', { runAt });
+      const failedId = db.insertTask('{"test": "retry"}');
+      db.updateTaskStatus(failedId, 'failed', 1, retryAt);
+
+      expect(db.getEarliestNextRetryTime()).toBe(runAt);
+    });
+  });
+
+  describe('priorities', () => {
+    it('should claim higher priority tasks first, oldest first within a priority', () => {
+      const low = db.insertTask('{"n": "low"}', { priority: -1 });
+      const normal1 = db.insertTask('{"n": "normal1"}');
+      const high = db.insertTask('{"n": "high"}', { priority: 10 });
+      const normal2 = db.insertTask('{"n": "normal2"}');
+
+      const tasks = db.claimTasks('worker-a', 10);
+      expect(tasks.map((t) => t.id)).toEqual([high, normal1, normal2, low]);
+    });
+
+    it('should let old low priority tasks overtake newer ones when aging is enabled', () => {
+      const old = db.insertTask('{"n": "old"}', { priority: 0 });
+      const fresh = db.insertTask('{"n": "fresh"}', { priority: 5 });
+      db.run(
+        "UPDATE queue SET created_at = datetime('now', '-10 minutes') WHERE id = ?",
+        [old]
+      );
+
+      expect(db.claimTasks('worker-a', 1)[0].id).toBe(fresh);
+      db.updateTaskStatus(fresh, 'pending');
+
+      // One priority point per minute: the 10 minute old task now ranks at ~10
+      const [first] = db.claimTasks('worker-a', 1, { agingInterval: 60_000 });
+      expect(first.id).toBe(old);
+    });
+  });
+
+  describe('leases', () => {
+    it('should record the lease expiry on claim and extend it for the owner only', () => {
+      const taskId = db.insertTask('{"test": "data"}');
+      const leaseExpiresAt = new Date(Date.now() + 1000).toISOString();
+      const [task] = db.claimTasks('worker-a', 1, { leaseExpiresAt });
+      expect(task.lease_expires_at).toBe(leaseExpiresAt);
+
+      const extended = new Date(Date.now() + 5000).toISOString();
+      expect(db.extendLease(taskId, 'worker-b', extended).changes).toBe(0);
+      expect(db.extendLease(taskId, 'worker-a', extended).changes).toBe(1);
+      expect(db.getTaskById(taskId).lease_expires_at).toBe(extended);
+
+      // A longer lease is never shortened
+      db.extendLease(taskId, 'worker-a', leaseExpiresAt);
+      expect(db.getTaskById(taskId).lease_expires_at).toBe(extended);
+    });
+
+    it('should report processing tasks whose lease has expired', () => {
+      const expiredId = db.insertTask('{"test": "expired"}');
+      db.claimTasks('worker-a', 1, {
+        leaseExpiresAt: new Date(Date.now() - 1000).toISOString(),
+      });
+      db.insertTask('{"test": "active"}');
+      db.claimTasks('worker-b', 1, {
+        leaseExpiresAt: new Date(Date.now() + 10000).toISOString(),
+      });
+
+      const stalled = db.getStalledTasks();
+      expect(stalled.map((t) => t.id)).toEqual([expiredId]);
+    });
+
+    it('should only fail a stalled task while its lease is still expired', () => {
+      const taskId = db.insertTask('{}');
+      db.claimTasks('worker-a', 1, {
+        leaseExpiresAt: new Date(Date.now() - 1000).toISOString(),
+      });
+      const now = new Date().toISOString();
+      const retryAt = new Date(Date.now() + 1000).toISOString();
+      db.extendLease(
+        taskId,
+        'worker-a',
+        new Date(Date.now() + 5000).toISOString()
+      );
+
+      expect(
+        db.failTask(taskId, 'worker-a', 1, retryAt, null, null, now).changes
+      ).toBe(0);
+      expect(db.getTaskById(taskId).status).toBe('processing');
+      expect(
+        db.failTask(
+          taskId,
+          'worker-a',
+          1,
+          retryAt,
+          null,
+          null,
+          new Date(Date.now() + 10000).toISOString()
+        ).changes
+      ).toBe(1);
+    });
+  });
+
+  describe('updateProgress', () => {
+    it('should record progress for the owning worker and reset it on the next claim', () => {
+      const taskId = db.insertTask('{"test": "data"}');
+      db.claimTasks('worker-a', 1);
+
+      expect(db.updateProgress(taskId, 'worker-b', 0.5).changes).toBe(0);
+      expect(
+        db.updateProgress(taskId, 'worker-a', 0.5, '{"rows":5}').changes
+      ).toBe(1);
+      let task = db.getTaskById(taskId);
+      expect(task.progress).toBe(0.5);
+      expect(task.progress_data).toBe('{"rows":5}');
+
+      db.failTask(
+        taskId,
+        'worker-a',
+        1,
+        new Date(Date.now() - 1).toISOString()
+      );
+      db.claimTasks('worker-a', 1);
+      task = db.getTaskById(taskId);
+      expect(task.progress).toBeNull();
+      expect(task.progress_data).toBeNull();
+    });
+  });
+
+  describe('pauses', () => {
+    it('should store pauses once and lift them on resume', () => {
+      expect(db.pause('queue').changes).toBe(1);
+      expect(db.pause('queue').changes).toBe(0);
+      db.pause('type:email');
+      expect(db.getPausedKeys().sort()).toEqual(['queue', 'type:email']);
+
+      expect(db.resume('queue').changes).toBe(1);
+      expect(db.resume('queue').changes).toBe(0);
+      expect(db.getPausedKeys()).toEqual(['type:email']);
+    });
+  });
+
+  describe('completeTask', () => {
+    it('should only complete tasks owned by the worker', () => {
+      const taskId = db.insertTask('{"test": "data"}');
+      db.claimTasks('worker-a', 1);
+
+      expect(db.completeTask(taskId, 'worker-b').changes).toBe(0);
+      expect(db.completeTask(taskId, 'worker-a').changes).toBe(1);
+      expect(db.getTaskById(taskId).status).toBe('completed');
+    });
+  });
+
   describe('updateTaskStatus', () => {
     it('should update task status', async () => {
       const taskId = db.insertTask('{"test": "data"}');
@@ -139,6 +557,29 @@ describe('Database', () => {
     });
   });
 
+  describe('attempts', () => {
+    it('should store attempts and remove them with their task', () => {
+      const taskId = db.insertTask('{"test": "data"}');
+      const startedAt = new Date(Date.now() - 250).toISOString();
+      db.insertAttempt({
+        taskId,
+        attempt: 1,
+        workerId: 'worker-a',
+        startedAt,
+        outcome: 'failed',
+        error: new Error('boom'),
+      });
+
+      const [attempt] = db.getAttempts(taskId);
+      expect(attempt.outcome).toBe('failed');
+      expect(attempt.error_message).toBe('boom');
+      expect(attempt.duration_ms).toBeGreaterThanOrEqual(250);
+
+      db.deleteTask(taskId);
+      expect(db.getAttempts(taskId)).toHaveLength(0);
+    });
+  });
+
   describe('getTaskStats', () => {
     it('should return task statistics', async () => {
       db.insertTask('{"test": "data1"}');
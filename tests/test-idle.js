@@ -59,4 +59,52 @@ describe('Idle behavior and wake scheduling', () => {
     await new Promise((resolve) => setTimeout(resolve, 90));
     expect(attempts).toBeGreaterThanOrEqual(2);
   });
+
+  it('should wake exactly when a delayed task becomes due', async () => {
+    queue = new Queue({ dbPath: ':memory:', autoProcess: true });
+
+    const processedAt = [];
+    await queue.process(async () => {
+      processedAt.push(Date.now());
+    });
+
+    const addedAt = Date.now();
+    queue.add({ reminder: true }, { delay: 60 });
+
+    await new Promise((resolve) => setTimeout(resolve, 25));
+    expect(processedAt).toHaveLength(0);
+    expect(queue.pollingTimer).toBeTruthy();
+    if (queue.pollingTimer && typeof queue.pollingTimer.hasRef === 'function') {
+      expect(queue.pollingTimer.hasRef()).toBe(false);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    expect(processedAt).toHaveLength(1);
+    expect(processedAt[0] - addedAt).toBeGreaterThanOrEqual(55);
+  });
+
+  it('should wake when a rate limit window reopens', async () => {
+    queue = new Queue({
+      dbPath: ':memory:',
+      autoProcess: true,
+      pollingInterval: 10_000,
+      rateLimit: { max: 2, duration: 100 },
+    });
+
+    const processedAt = [];
+    await queue.process(async () => {
+      processedAt.push(Date.now());
+    });
+
+    const addedAt = Date.now();
+    queue.addBulk([{}, {}, {}]);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(processedAt).toHaveLength(2);
+    expect(queue.pollingTimer).toBeTruthy();
+
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    expect(processedAt).toHaveLength(3);
+    expect(processedAt[2] - addedAt).toBeGreaterThanOrEqual(95);
+  });
 });
@@ -1,4 +1,9 @@
 import { describe, beforeEach, afterEach, it, expect } from 'vitest';
+import { fork } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
 import Queue from '../src/index.js';
 
 describe('Integration Tests', () => {
@@ -198,6 +203,139 @@ describe('Integration Tests', () => {
     });
   });
 
+  describe('Shared database file', () => {
+    let dir;
+    let dbPath;
+    let queues;
+
+    /** Opens a queue on the shared file that is closed after the test. */
+    const openQueue = (options = {}) => {
+      const sharedQueue = new Queue({ dbPath, autoProcess: false, ...options });
+      queues.push(sharedQueue);
+      return sharedQueue;
+    };
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'litequu-'));
+      dbPath = join(dir, 'shared.db');
+      queues = [];
+    });
+
+    afterEach(async () => {
+      for (const sharedQueue of queues) {
+        await sharedQueue.close();
+      }
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should run each task exactly once across worker processes', async () => {
+      const producer = openQueue();
+      producer.db.initialize(); // create the schema before the workers open the file
+      const workers = [0, 1].map(() =>
+        fork(fileURLToPath(new URL('./fixtures/worker.js', import.meta.url)), [
+          dbPath,
+        ])
+      );
+      const exited = workers.map(
+        (worker) => new Promise((resolve) => worker.on('exit', resolve))
+      );
+      const seen = [];
+
+      try {
+        await Promise.all(
+          workers.map(
+            (worker) =>
+              new Promise((resolve) =>
+                worker.on('message', (message) =>
+                  message === 'ready' ? resolve() : seen.push(message)
+                )
+              )
+          )
+        );
+
+        const taskIds = producer.addBulk(
+          Array.from({ length: 40 }, (_, i) => ({ i }))
+        );
+        const alive = () => workers.every((worker) => worker.connected);
+        while (seen.length < taskIds.length && alive()) {
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+      } finally {
+        // Closing waits for the handlers still running in the workers
+        for (const worker of workers.filter((w) => w.connected)) {
+          worker.send('stop');
+        }
+        await Promise.all(exited);
+      }
+
+      expect(seen).toHaveLength(40);
+      expect(new Set(seen.map((s) => s.i)).size).toBe(40);
+      expect(new Set(seen.map((s) => s.pid)).size).toBe(2);
+      expect(producer.getStats()).toEqual([{ status: 'completed', count: 40 }]);
+    });
+
+    it('should resolve addAndWait when another process completes the task', async () => {
+      const producer = openQueue({ pollingInterval: 20 });
+      const worker = openQueue();
+
+      const waiting = producer.addAndWait({ value: 2 }, { timeout: 5000 });
+      await worker.processOnce(async (data) => ({
+        squared: data.value ** 2,
+      }));
+
+      await expect(waiting).resolves.toMatchObject({
+        status: 'completed',
+        result: { squared: 4 },
+      });
+    });
+
+    it('should abort a handler running in another process when its task is cancelled', async () => {
+      const producer = openQueue();
+      const worker = openQueue({ cancelCheckInterval: 20 });
+
+      const taskId = producer.add({});
+      const cancelled = new Promise((resolve) =>
+        worker.on('cancelled', resolve)
+      );
+
+      let aborted = false;
+      const processing = worker.processOnce(async (data, { signal }) => {
+        await new Promise((resolve) =>
+          signal.addEventListener('abort', resolve)
+        );
+        aborted = true;
+      });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(producer.cancel(taskId)).toBe(true);
+      const info = await cancelled;
+      await processing;
+
+      expect(info).toMatchObject({ taskId, previousStatus: 'processing' });
+      expect(aborted).toBe(true);
+      expect(producer.getTask(taskId).status).toBe('cancelled');
+      expect(producer.getAttempts(taskId)[0].outcome).toBe('cancelled');
+    });
+
+    it('should stop claiming in every process while the queue is paused', async () => {
+      const producer = openQueue();
+      const worker = openQueue({ autoProcess: true, pollingInterval: 20 });
+
+      await producer.pause();
+      producer.add({ value: 1 });
+      const processed = [];
+      await worker.process(async (data) => processed.push(data.value));
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(processed).toEqual([]);
+      expect(worker.isPaused()).toBe(true);
+
+      // The worker notices the resume on its next poll
+      producer.resume();
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(processed).toEqual([1]);
+    });
+  });
+
   describe('Auto-processing with polling', () => {
     it('should automatically process tasks when autoProcess is enabled', async () => {
       const autoQueue = new Queue({
@@ -234,6 +372,61 @@ describe('Integration Tests', () => {
     });
   });
 
+  describe('Groups', () => {
+    it('should keep processing the next task of a group once the previous one finished', async () => {
+      const autoQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: true,
+        pollingInterval: 10_000,
+      });
+
+      const processed = [];
+      const done = new Promise((resolve) => {
+        autoQueue.on('completed', () => {
+          if (processed.length === 3) {
+            resolve();
+          }
+        });
+      });
+      for (let i = 0; i < 3; i++) {
+        autoQueue.add({ i }, { groupKey: 'account:1' });
+      }
+      await autoQueue.process(async ({ i }) => {
+        processed.push(i);
+      });
+      await done;
+
+      expect(processed).toEqual([0, 1, 2]);
+      await autoQueue.close();
+    });
+  });
+
+  describe('Task types', () => {
+    it('should automatically process typed tasks with their own handlers', async () => {
+      const autoQueue = new Queue({ dbPath: ':memory:', autoProcess: true });
+      const completed = [];
+      const done = new Promise((resolve) => {
+        autoQueue.on('completed', (info) => {
+          completed.push(info.result);
+          if (completed.length === 2) {
+            resolve();
+          }
+        });
+      });
+
+      autoQueue
+        .define('double', async (data) => data.value * 2)
+        .define('square', async (data) => data.value ** 2);
+
+      autoQueue.add({ value: 3 }, { type: 'double' });
+      autoQueue.add({ value: 4 }, { type: 'square' });
+
+      await done;
+      await autoQueue.close();
+      expect(completed.sort((a, b) => a - b)).toEqual([6, 16]);
+    });
+  });
+
   describe('Cleanup and maintenance', () => {
     it('should clean up old completed tasks', async () => {
       // Add and process some tasks
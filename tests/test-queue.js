@@ -1,5 +1,17 @@
-import { describe, beforeEach, afterEach, it, expect } from 'vitest';
+import { describe, beforeEach, afterEach, it, expect, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import Queue from '../src/queue.js';
+import {
+  TimeoutError,
+  CancelledError,
+  TaskFailedError,
+  RetryAfterError,
+  UnrecoverableError,
+  ShutdownError,
+  StalledError,
+} from '../src/errors.js';
 
 describe('Queue', () => {
   let queue;
@@ -62,6 +74,43 @@ describe('Queue', () => {
       await addedPromise;
     });
 
+    it('should store the task priority', () => {
+      const taskId = queue.add({ urgent: true }, { priority: 5 });
+      expect(queue.getTask(taskId).priority).toBe(5);
+      expect(queue.getTask(queue.add({})).priority).toBe(0);
+    });
+
+    it('should schedule tasks with delay or runAt', () => {
+      const before = Date.now();
+      const delayedId = queue.add({ reminder: true }, { delay: 60_000 });
+      const runAt = new Date('2030-01-01T09:00:00.000Z');
+      const scheduledId = queue.add({ report: true }, { runAt });
+
+      const delayed = queue.getTask(delayedId);
+      expect(new Date(delayed.run_at).getTime()).toBeGreaterThanOrEqual(
+        before + 60_000
+      );
+      expect(queue.getTask(scheduledId).run_at).toBe(runAt.toISOString());
+    });
+
+    it('should reject an invalid runAt', () => {
+      const errors = [];
+      queue.on('error', (info) => errors.push(info));
+
+      expect(() => queue.add({}, { runAt: 'not a date' })).toThrow(
+        'Invalid runAt date'
+      );
+      expect(errors).toHaveLength(1);
+    });
+
+    it('should not process delayed tasks before they are due', async () => {
+      queue.add({ later: true }, { delay: 60_000 });
+      const processed = [];
+
+      await queue.processOnce(async (data) => processed.push(data));
+      expect(processed).toHaveLength(0);
+    });
+
     it('should handle complex task data', async () => {
       const complexData = {
         user: { id: 1, name: 'John' },
@@ -76,6 +125,273 @@ describe('Queue', () => {
     });
   });
 
+  describe('unique tasks', () => {
+    it('should return the existing task and emit duplicate while it is active', async () => {
+      const duplicates = [];
+      queue.on('duplicate', (info) => duplicates.push(info));
+
+      const taskId = queue.add({ delivery: 1 }, { uniqueKey: 'delivery-1' });
+      expect(queue.add({ delivery: 1 }, { uniqueKey: 'delivery-1' })).toBe(
+        taskId
+      );
+      expect(duplicates).toEqual([
+        { taskId, uniqueKey: 'delivery-1', taskData: { delivery: 1 } },
+      ]);
+      expect(queue.getStats()).toEqual([{ status: 'pending', count: 1 }]);
+
+      let duplicateWhileRunning;
+      await queue.processOnce(async () => {
+        duplicateWhileRunning = queue.add({}, { uniqueKey: 'delivery-1' });
+      });
+
+      expect(duplicateWhileRunning).toBe(taskId);
+      const nextId = queue.add({}, { uniqueKey: 'delivery-1' });
+      expect(nextId).not.toBe(taskId);
+    });
+
+    it("should release the key once the task is claimed with uniqueFor 'pending'", async () => {
+      const taskId = queue.add({}, { uniqueKey: 'k', uniqueFor: 'pending' });
+
+      let addedWhileRunning;
+      await queue.processOnce(async () => {
+        addedWhileRunning = queue.add(
+          {},
+          { uniqueKey: 'k', uniqueFor: 'pending' }
+        );
+      });
+
+      expect(addedWhileRunning).not.toBe(taskId);
+    });
+
+    it('should hold the key for a time window regardless of status', async () => {
+      const taskId = queue.add({}, { uniqueKey: 'k', uniqueFor: 50 });
+      await queue.processOnce(async () => {});
+
+      expect(queue.add({}, { uniqueKey: 'k', uniqueFor: 50 })).toBe(taskId);
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      expect(queue.add({}, { uniqueKey: 'k', uniqueFor: 50 })).not.toBe(taskId);
+    });
+
+    it('should release the key when the task is cancelled', () => {
+      const taskId = queue.add({}, { uniqueKey: 'k' });
+      queue.cancel(taskId);
+
+      expect(queue.add({}, { uniqueKey: 'k' })).not.toBe(taskId);
+    });
+
+    it('should reject invalid unique options', () => {
+      expect(() => queue.add({}, { uniqueKey: '' })).toThrow(
+        'uniqueKey must be a non-empty string'
+      );
+      expect(() =>
+        queue.add({}, { uniqueKey: 'k', uniqueFor: 'forever' })
+      ).toThrow('Invalid uniqueFor');
+      expect(() => queue.addBulk([{}], { uniqueKey: 'k' })).toThrow(
+        'addBulk does not support uniqueKey'
+      );
+    });
+  });
+
+  describe('debounced tasks', () => {
+    it('should coalesce adds while the task is pending and push out its run time', () => {
+      const debounced = [];
+      queue.on('debounced', (info) => debounced.push(info));
+
+      const taskId = queue.add(
+        { version: 1 },
+        { debounceKey: 'user:42', debounceMs: 1000 }
+      );
+      const firstRunAt = queue.getTask(taskId).run_at;
+      const secondId = queue.add(
+        { version: 2 },
+        { debounceKey: 'user:42', debounceMs: 5000 }
+      );
+
+      expect(secondId).toBe(taskId);
+      expect(queue.getStats()).toEqual([{ status: 'pending', count: 1 }]);
+      const task = queue.getTask(taskId);
+      expect(JSON.parse(task.task_data)).toEqual({ version: 2 });
+      expect(task.run_at > firstRunAt).toBe(true);
+      expect(debounced).toEqual([
+        {
+          taskId,
+          debounceKey: 'user:42',
+          taskData: { version: 2 },
+          runAt: task.run_at,
+        },
+      ]);
+    });
+
+    it('should merge payloads with the merge callback', () => {
+      const merge = (pending, next) => ({
+        ids: [...pending.ids, ...next.ids],
+      });
+      const taskId = queue.add({ ids: [1] }, { debounceKey: 'k', merge });
+      queue.add({ ids: [2] }, { debounceKey: 'k', merge });
+      queue.add({ ids: [3] }, { debounceKey: 'k', merge });
+
+      expect(JSON.parse(queue.getTask(taskId).task_data)).toEqual({
+        ids: [1, 2, 3],
+      });
+    });
+
+    it('should add a new task once the pending one has started', async () => {
+      const taskId = queue.add({}, { debounceKey: 'k' });
+
+      let addedWhileRunning;
+      await queue.processOnce(async () => {
+        addedWhileRunning = queue.add({}, { debounceKey: 'k' });
+      });
+
+      expect(addedWhileRunning).not.toBe(taskId);
+      expect(queue.getTask(addedWhileRunning).status).toBe('pending');
+    });
+
+    it('should reject invalid or conflicting debounce options', () => {
+      expect(() => queue.add({}, { debounceKey: 'k', debounceMs: -1 })).toThrow(
+        'debounceMs must be a non-negative number'
+      );
+      expect(() => queue.add({}, { debounceKey: 'k', merge: 'yes' })).toThrow(
+        'merge must be a function'
+      );
+      expect(() => queue.add({}, { debounceKey: 'k', delay: 100 })).toThrow(
+        'debounceKey cannot be combined with uniqueKey, delay or runAt'
+      );
+      expect(() => queue.add({}, { debounceKey: 'k', uniqueKey: 'u' })).toThrow(
+        'debounceKey cannot be combined with uniqueKey, delay or runAt'
+      );
+      expect(queue.getStats()).toEqual([]);
+    });
+  });
+
+  describe('groups', () => {
+    it('should never run two tasks of the same group at once', async () => {
+      const groupQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        maxConcurrent: 4,
+      });
+      for (let i = 0; i < 3; i++) {
+        groupQueue.add({ account: 'a', i }, { groupKey: 'account:a' });
+        groupQueue.add({ account: 'b', i }, { groupKey: 'account:b' });
+      }
+
+      const running = new Map();
+      const order = [];
+      let overlap = false;
+      const handler = async ({ account, i }) => {
+        if (running.get(account)) {
+          overlap = true;
+        }
+        running.set(account, true);
+        order.push(`${account}${i}`);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running.set(account, false);
+      };
+
+      for (let batch = 0; batch < 3; batch++) {
+        await groupQueue.processOnce(handler);
+      }
+
+      expect(overlap).toBe(false);
+      expect(order.filter((id) => id.startsWith('a'))).toEqual([
+        'a0',
+        'a1',
+        'a2',
+      ]);
+      expect(order).toHaveLength(6);
+      await groupQueue.close();
+    });
+  });
+
+  describe('rate limits', () => {
+    it('should limit how many tasks start per window', async () => {
+      const limitedQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        rateLimit: { max: 2, duration: 60_000 },
+      });
+      limitedQueue.addBulk([{}, {}, {}]);
+
+      let started = 0;
+      await limitedQueue.processOnce(async () => {
+        started++;
+      });
+      await limitedQueue.processOnce(async () => {
+        started++;
+      });
+
+      expect(started).toBe(2);
+      expect(limitedQueue.getStats()).toContainEqual({
+        status: 'pending',
+        count: 1,
+      });
+      await limitedQueue.close();
+    });
+
+    it('should apply per-type rate limits to that type only', async () => {
+      const handled = [];
+      queue.define('api_call', async () => handled.push('api_call'), {
+        rateLimit: { max: 1, duration: 60_000 },
+      });
+      queue.define('local', async () => handled.push('local'));
+      queue.addBulk([{}, {}], { type: 'api_call' });
+      queue.addBulk([{}, {}], { type: 'local' });
+
+      await queue.processOnce();
+
+      expect(handled.filter((type) => type === 'api_call')).toHaveLength(1);
+      expect(handled.filter((type) => type === 'local')).toHaveLength(2);
+    });
+
+    it('should reject invalid rate limits', () => {
+      expect(
+        () =>
+          new Queue({ dbPath: ':memory:', rateLimit: { max: 0, duration: 1 } })
+      ).toThrow('rateLimit must have a positive integer max');
+      expect(() =>
+        queue.define('t', async () => {}, { rateLimit: { max: 1 } })
+      ).toThrow('rateLimit must have a positive integer max');
+    });
+  });
+
+  describe('addBulk', () => {
+    it('should add all tasks with shared options and emit one event', async () => {
+      const bulkEvents = [];
+      const addedEvents = [];
+      queue.on('addedBulk', (info) => bulkEvents.push(info));
+      queue.on('added', (info) => addedEvents.push(info));
+
+      const taskIds = queue.addBulk([{ row: 1 }, { row: 2 }, { row: 3 }], {
+        priority: 5,
+        type: 'import_row',
+      });
+
+      expect(taskIds).toHaveLength(3);
+      expect(bulkEvents).toEqual([{ taskIds, count: 3 }]);
+      expect(addedEvents).toHaveLength(0);
+      expect(
+        taskIds.map((id) => JSON.parse(queue.getTask(id).task_data))
+      ).toEqual([{ row: 1 }, { row: 2 }, { row: 3 }]);
+      expect(queue.getTask(taskIds[2])).toMatchObject({
+        priority: 5,
+        type: 'import_row',
+      });
+    });
+
+    it('should return an empty array without emitting for no tasks', () => {
+      const bulkEvents = [];
+      queue.on('addedBulk', (info) => bulkEvents.push(info));
+
+      expect(queue.addBulk([])).toEqual([]);
+      expect(bulkEvents).toHaveLength(0);
+    });
+
+    it('should reject input that is not an array', () => {
+      expect(() => queue.addBulk({ row: 1 })).toThrow('Tasks must be an array');
+    });
+  });
+
   describe('processOnce', () => {
     it('should process a single task successfully', async () => {
       const taskData = { value: 42 };
@@ -166,6 +482,27 @@ describe('Queue', () => {
       expect(failedEvents[0].retryCount).toBe(queue.maxRetries + 1);
     });
 
+    it('should process higher priority tasks first', async () => {
+      const serialQueue = new Queue({
+        dbPath: ':memory:',
+        maxConcurrent: 1,
+        autoProcess: false,
+      });
+
+      serialQueue.add({ name: 'bulk-1' });
+      serialQueue.add({ name: 'bulk-2' });
+      serialQueue.add({ name: 'password-reset' }, { priority: 10 });
+
+      const order = [];
+      await serialQueue.processOnce(async (data) => {
+        order.push(data.name);
+      });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(order).toEqual(['password-reset', 'bulk-1', 'bulk-2']);
+      await serialQueue.close();
+    });
+
     it('should respect maxConcurrent limit', async () => {
       const concurrentQueue = new Queue({
         dbPath: ':memory:',
@@ -200,35 +537,1612 @@ describe('Queue', () => {
     });
   });
 
-  describe('exponential backoff', () => {
-    it('should calculate correct retry delays', async () => {
-      queue.add({ fail: true });
+  describe('define', () => {
+    it('should route tasks to the handler for their type', async () => {
+      const seen = [];
+      queue.define('send_email', async (data) => seen.push(['email', data.n]));
+      queue.define('resize', async (data) => seen.push(['resize', data.n]));
+
+      queue.add({ n: 1 }, { type: 'send_email' });
+      queue.add({ n: 2 }, { type: 'resize' });
+      queue.add({ n: 3 });
+
+      await queue.processOnce(async (data) => seen.push(['default', data.n]));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(seen).toHaveLength(3);
+      expect(seen).toContainEqual(['email', 1]);
+      expect(seen).toContainEqual(['resize', 2]);
+      expect(seen).toContainEqual(['default', 3]);
+    });
+
+    it('should leave tasks without a registered handler untouched', async () => {
+      queue.define('known', async () => 'ok');
+      const unknownId = queue.add({}, { type: 'unknown' });
+      const untypedId = queue.add({});
+
+      await queue.processOnce();
+
+      expect(queue.getTask(unknownId).status).toBe('pending');
+      expect(queue.getTask(untypedId).status).toBe('pending');
+    });
+
+    it('should require a handler when no types are defined', async () => {
+      await expect(queue.processOnce()).rejects.toThrow(
+        'Handler must be a function'
+      );
+      expect(() => queue.define('', async () => {})).toThrow('Task type');
+      expect(() => queue.define('x', 'nope')).toThrow(
+        'Handler must be a function'
+      );
+    });
+
+    it('should respect per-type concurrency', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      queue.define(
+        'throttled',
+        async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise((resolve) => setTimeout(resolve, 20));
+          running--;
+        },
+        { concurrency: 1 }
+      );
+
+      for (let i = 0; i < 3; i++) {
+        queue.add({ i }, { type: 'throttled' });
+      }
+
+      while (
+        queue.getStats('throttled').some((s) => s.status !== 'completed')
+      ) {
+        await queue.processOnce();
+        await new Promise((resolve) => setTimeout(resolve, 30));
+      }
+
+      expect(maxRunning).toBe(1);
+    });
+
+    it('should apply the per-type retry policy', async () => {
+      const failedEvents = [];
+      queue.on('failed', (info) => failedEvents.push(info));
+      queue.define(
+        'fragile',
+        async () => {
+          throw new Error('nope');
+        },
+        { maxRetries: 0 }
+      );
+
+      const taskId = queue.add({}, { type: 'fragile' });
+      await queue.processOnce();
+
+      expect(failedEvents.map((e) => e.taskId)).toEqual([taskId]);
+    });
+
+    it('should report stats per type', () => {
+      queue.add({}, { type: 'a' });
+      queue.add({}, { type: 'a' });
+      queue.add({}, { type: 'b' });
+      queue.add({});
+
+      expect(queue.getStats('a')).toEqual([{ status: 'pending', count: 2 }]);
+      expect(queue.getStats(null)).toEqual([{ status: 'pending', count: 1 }]);
+      expect(queue.getStats()).toEqual([{ status: 'pending', count: 4 }]);
+    });
+  });
+
+  describe('leases and stalled tasks', () => {
+    it('should extend the lease of a task owned by this queue', () => {
+      const taskId = queue.add({ long: true });
+      queue.db.claimTasks(queue.workerId, 1, {
+        leaseExpiresAt: new Date(Date.now() + 100).toISOString(),
+      });
+
+      expect(queue.heartbeat(taskId, 60_000)).toBe(true);
+      const task = queue.getTask(taskId);
+      expect(new Date(task.lease_expires_at).getTime()).toBeGreaterThan(
+        Date.now() + 50_000
+      );
+    });
+
+    it('should not extend the lease of a task owned by another worker', () => {
+      const taskId = queue.add({ long: true });
+      queue.db.claimTasks('other-worker', 1);
+
+      expect(queue.heartbeat(taskId)).toBe(false);
+    });
 
+    it('should return expired leases to the retry pool and emit stalled', async () => {
+      // A long retry delay keeps the recovered task from being claimed by the same batch
+      queue.define('report', async () => 'done', { baseRetryDelay: 60_000 });
+      const taskId = queue.add({ crashed: true }, { type: 'report' });
+      queue.db.claimTasks('crashed-worker', 1, {
+        leaseExpiresAt: new Date(Date.now() - 1000).toISOString(),
+      });
+
+      const stalledEvents = [];
       const retryEvents = [];
-      queue.on('retried', (info) => {
-        retryEvents.push(info);
+      queue.on('stalled', (info) => stalledEvents.push(info));
+      queue.on('retried', (info) => retryEvents.push(info));
+
+      await queue.processOnce();
+
+      expect(stalledEvents).toHaveLength(1);
+      expect(stalledEvents[0]).toMatchObject({
+        taskId,
+        workerId: 'crashed-worker',
+        attempt: 1,
+        type: 'report',
+        taskData: { crashed: true },
       });
+      expect(retryEvents).toHaveLength(1);
+
+      const task = queue.getTask(taskId);
+      expect(task.status).toBe('failed');
+      expect(task.retry_count).toBe(1);
+    });
+
+    it('should not recover a task whose lease was renewed during recovery', async () => {
+      // The owner renews its lease while recovery is deciding on the retry
+      queue.define('report', async () => {}, {
+        retryIf: () => {
+          queue.db.extendLease(
+            taskId,
+            'slow-worker',
+            new Date(Date.now() + 60_000).toISOString()
+          );
+          return true;
+        },
+      });
+      const taskId = queue.add({}, { type: 'report' });
+      queue.db.claimTasks('slow-worker', 1, {
+        leaseExpiresAt: new Date(Date.now() - 1000).toISOString(),
+      });
+      const stalled = [];
+      queue.on('stalled', (info) => stalled.push(info));
+
+      await queue.processOnce();
+
+      expect(stalled).toEqual([]);
+      expect(queue.getTask(taskId).status).toBe('processing');
+      expect(queue.getAttempts(taskId)).toEqual([]);
+    });
+
+    it('should count stalls toward maxRetries', async () => {
+      const taskId = queue.add({ crashed: true });
+      queue.db.run('UPDATE queue SET retry_count = ? WHERE id = ?', [
+        queue.maxRetries,
+        taskId,
+      ]);
+      queue.db.claimTasks('crashed-worker', 1, {
+        leaseExpiresAt: new Date(Date.now() - 1000).toISOString(),
+      });
+
+      const failedEvents = [];
+      queue.on('failed', (info) => failedEvents.push(info));
+
+      await queue.processOnce(async () => 'done');
+
+      expect(failedEvents).toHaveLength(1);
+      expect(failedEvents[0].error).toBe('Task lease expired');
+      expect(queue.getTask(taskId).next_retry_at).toBeNull();
+    });
+
+    it('should ignore the outcome of a handler whose task was recovered', async () => {
+      const taskId = queue.add({ slow: true });
+      const completedEvents = [];
+      queue.on('completed', (info) => completedEvents.push(info));
 
-      // First failure
       await queue.processOnce(async () => {
-        throw new Error('Fail');
+        // Simulate the lease being taken over while the handler runs
+        queue.db.run("UPDATE queue SET worker_id = 'other' WHERE id = ?", [
+          taskId,
+        ]);
+        return 'late';
       });
 
-      // Wait and process again
+      expect(completedEvents).toHaveLength(0);
+      expect(queue.getTask(taskId).status).toBe('processing');
+    });
+
+    it('should renew the lease of a handler running longer than leaseDuration', async () => {
+      const leaseQueue = new Queue({
+        dbPath: ':memory:',
+        leaseDuration: 50,
+        stalledInterval: 10,
+      });
+      const runs = [];
+      const stalled = [];
+      leaseQueue.on('stalled', (info) => stalled.push(info));
+
+      const taskId = leaseQueue.add({});
+      await leaseQueue.process(async (data, { signal }) => {
+        runs.push(signal);
+        await new Promise((resolve) => setTimeout(resolve, 200));
+      });
+      await leaseQueue.drain();
+      const task = leaseQueue.getTask(taskId);
+      const attempts = leaseQueue.getAttempts(taskId);
+      await leaseQueue.close();
+
+      expect(runs).toHaveLength(1);
+      expect(runs[0].aborted).toBe(false);
+      expect(stalled).toHaveLength(0);
+      expect(task.status).toBe('completed');
+      expect(attempts.map((a) => a.outcome)).toEqual(['completed']);
+    });
+
+    it('should abort a handler whose lease was lost', async () => {
+      const leaseQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        leaseDuration: 30,
+      });
+      const completed = [];
+      leaseQueue.on('completed', (info) => completed.push(info));
+      const taskId = leaseQueue.add({});
+
+      let reason;
+      await leaseQueue.processOnce(async (data, { signal }) => {
+        // Another process recovers the task as stalled while the handler runs
+        leaseQueue.db.run(
+          "UPDATE queue SET status = 'failed', retry_count = 1 WHERE id = ?",
+          [taskId]
+        );
+        await new Promise((resolve) =>
+          signal.addEventListener('abort', resolve)
+        );
+        reason = signal.reason;
+        return 'late';
+      });
+      const task = leaseQueue.getTask(taskId);
+      const attempts = leaseQueue.getAttempts(taskId);
+      const running = leaseQueue.running.size;
+      await leaseQueue.close();
+
+      expect(reason).toBeInstanceOf(StalledError);
+      expect(completed).toHaveLength(0);
+      expect(task.status).toBe('failed');
+      expect(task.retry_count).toBe(1);
+      expect(attempts).toHaveLength(0);
+      expect(running).toBe(0);
+    });
+  });
+
+  describe('task results', () => {
+    it('should persist the handler result and timestamps', async () => {
+      const taskId = queue.add({ value: 21 });
+
+      await queue.processOnce(async (data) => ({ doubled: data.value * 2 }));
+
+      const task = queue.getTask(taskId);
+      expect(task.status).toBe('completed');
+      expect(JSON.parse(task.result)).toEqual({ doubled: 42 });
+      expect(task.started_at).toBeTypeOf('string');
+      expect(task.finished_at).toBeTypeOf('string');
+      expect(new Date(task.finished_at).getTime()).toBeGreaterThanOrEqual(
+        new Date(task.started_at).getTime()
+      );
+    });
+
+    it('should store null when the handler returns nothing', async () => {
+      const taskId = queue.add({});
+      await queue.processOnce(async () => {});
+      expect(queue.getTask(taskId).result).toBeNull();
+    });
+
+    it('should report a result that cannot be serialized and complete the task', async () => {
+      const errors = [];
+      queue.on('error', (info) => errors.push(info));
+      const taskId = queue.add({});
+
+      await queue.processOnce(async () => {
+        const result = {};
+        result.self = result;
+        return result;
+      });
+
+      expect(errors).toEqual([
+        {
+          error: expect.any(TypeError),
+          operation: 'serializeResult',
+          taskId,
+        },
+      ]);
+      const task = queue.getTask(taskId);
+      expect(task.status).toBe('completed');
+      expect(task.result).toBeNull();
+    });
+
+    it('should persist the last error of a failed attempt', async () => {
+      const taskId = queue.add({});
+
+      await queue.processOnce(async () => {
+        throw new TypeError('Bad input');
+      });
+
+      const task = queue.getTask(taskId);
+      expect(task.status).toBe('failed');
+      expect(task.error_message).toBe('Bad input');
+      expect(task.error_name).toBe('TypeError');
+      expect(task.error_stack).toContain('Bad input');
+      expect(task.finished_at).toBeTypeOf('string');
+    });
+  });
+
+  describe('attempt history', () => {
+    it('should record every attempt with its outcome', async () => {
+      const taskId = queue.add({});
+      let calls = 0;
+      const handler = async () => {
+        calls++;
+        if (calls === 1) {
+          throw new Error('Flaky upstream');
+        }
+        return 'ok';
+      };
+
+      await queue.processOnce(handler);
       await new Promise((resolve) => setTimeout(resolve, 150));
+      await queue.processOnce(handler);
+
+      const attempts = queue.getAttempts(taskId);
+      expect(attempts).toHaveLength(2);
+      expect(attempts[0]).toMatchObject({
+        task_id: taskId,
+        attempt: 1,
+        worker_id: queue.workerId,
+        outcome: 'failed',
+        error_message: 'Flaky upstream',
+        error_name: 'Error',
+      });
+      expect(attempts[1]).toMatchObject({
+        attempt: 2,
+        outcome: 'completed',
+        error_message: null,
+      });
+      expect(attempts[1].duration_ms).toBeGreaterThanOrEqual(0);
+      expect(attempts[1].started_at).toBeTypeOf('string');
+    });
+
+    it('should record stalled attempts for the crashed worker', async () => {
+      const taskId = queue.add({});
+      queue.db.claimTasks('crashed-worker', 1, {
+        leaseExpiresAt: new Date(Date.now() - 1000).toISOString(),
+      });
+
+      await queue.processOnce(async () => 'ok');
+
+      const attempts = queue.getAttempts(taskId);
+      expect(attempts[0]).toMatchObject({
+        attempt: 1,
+        worker_id: 'crashed-worker',
+        outcome: 'stalled',
+        error_name: 'StalledError',
+      });
+    });
+  });
+
+  describe('dead-letter queue', () => {
+    const exhaust = async (q, taskId) => {
+      q.db.run('UPDATE queue SET retry_count = ? WHERE id = ?', [
+        q.maxRetries,
+        taskId,
+      ]);
+      await q.processOnce(async () => {
+        throw new Error('Permanent failure');
+      });
+    };
+
+    it('should move tasks that exhausted their retries to the dead state', async () => {
+      const exhaustedId = queue.add({ n: 1 });
+      await exhaust(queue, exhaustedId);
+      const retryingId = queue.add({ n: 2 });
       await queue.processOnce(async () => {
-        throw new Error('Fail again');
+        throw new Error('Transient failure');
       });
 
-      expect(retryEvents).toHaveLength(2);
+      expect(queue.getTask(exhaustedId).status).toBe('dead');
+      expect(queue.getTask(retryingId).status).toBe('failed');
 
-      // First retry should have delay around baseRetryDelay (100ms) - allow for jitter
-      expect(retryEvents[0].delay).toBeGreaterThan(50);
-      expect(retryEvents[0].delay).toBeLessThan(200);
+      const stats = queue.getStats();
+      expect(stats.find((s) => s.status === 'dead')?.count).toBe(1);
+      expect(stats.find((s) => s.status === 'failed')?.count).toBe(1);
+    });
 
-      // Second retry should have delay around baseRetryDelay * 2 (200ms) - allow for jitter
-      expect(retryEvents[1].delay).toBeGreaterThan(100);
-      expect(retryEvents[1].delay).toBeLessThan(400);
+    it('should list dead tasks with paging', async () => {
+      await exhaust(queue, queue.add({ n: 1 }));
+      await exhaust(queue, queue.add({ n: 2 }));
+
+      expect(queue.listDead()).toHaveLength(2);
+      expect(queue.listDead({ limit: 1 })).toHaveLength(1);
+      expect(queue.listDead({ limit: 1, offset: 1 })).toHaveLength(1);
+      expect(queue.listDead({ type: 'other' })).toHaveLength(0);
+    });
+
+    it('should requeue dead tasks with a fresh retry budget', async () => {
+      const taskId = queue.add({ n: 1 });
+      await exhaust(queue, taskId);
+
+      const requeued = [];
+      queue.on('requeued', (info) => requeued.push(info));
+
+      expect(queue.requeue(taskId)).toBe(1);
+      expect(requeued).toEqual([{ taskIds: [taskId] }]);
+
+      const task = queue.getTask(taskId);
+      expect(task.status).toBe('pending');
+      expect(task.retry_count).toBe(0);
+      expect(task.error_message).toBeNull();
+
+      const processed = [];
+      await queue.processOnce(async (data) => processed.push(data.n));
+      expect(processed).toEqual([1]);
+      expect(queue.getAttempts(taskId).map((a) => a.outcome)).toEqual([
+        'failed',
+        'completed',
+      ]);
+    });
+
+    it('should requeue by filter and ignore tasks that are not dead', async () => {
+      const deadId = queue.add({}, { type: 'email' });
+      queue.define('email', async () => {
+        throw new Error('Permanent failure');
+      });
+      queue.db.run('UPDATE queue SET retry_count = ? WHERE id = ?', [
+        queue.maxRetries,
+        deadId,
+      ]);
+      await queue.processOnce(async () => 'ok');
+      const pendingId = queue.add({});
+
+      expect(queue.requeue(pendingId)).toBe(0);
+      expect(queue.requeue({ type: 'sms' })).toBe(0);
+      expect(queue.requeue({ type: 'email' })).toBe(1);
+    });
+
+    it('should purge dead tasks and their attempts', async () => {
+      const taskId = queue.add({});
+      await exhaust(queue, taskId);
+
+      expect(queue.purgeDead()).toBe(1);
+      expect(queue.getTask(taskId)).toBeUndefined();
+      expect(queue.getAttempts(taskId)).toHaveLength(0);
+    });
+  });
+
+  describe('timeouts', () => {
+    it('should abort the handler signal and retry when the timeout elapses', async () => {
+      const timeoutQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        timeout: 30,
+      });
+      const taskId = timeoutQueue.add({});
+      const retryEvents = [];
+      timeoutQueue.on('retried', (info) => retryEvents.push(info));
+
+      let signalReason;
+      const started = Date.now();
+      await timeoutQueue.processOnce(async (data, { signal }) => {
+        signal.addEventListener('abort', () => {
+          signalReason = signal.reason;
+        });
+        // Never settles on its own, like a hung HTTP call
+        await new Promise(() => {});
+      });
+
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(signalReason).toBeInstanceOf(TimeoutError);
+      expect(retryEvents).toHaveLength(1);
+      expect(retryEvents[0].error).toBe('Task timed out after 30ms');
+      expect(timeoutQueue.status.currentRunning).toBe(0);
+
+      const task = timeoutQueue.getTask(taskId);
+      expect(task.status).toBe('failed');
+      expect(task.error_name).toBe('TimeoutError');
+      expect(timeoutQueue.getAttempts(taskId)[0].outcome).toBe('timeout');
+
+      await timeoutQueue.close();
+    });
+
+    it('should let a per-task timeout override the queue default', async () => {
+      const taskId = queue.add({}, { timeout: 20 });
+      const fastId = queue.add({});
+
+      await queue.processOnce(async (data, { signal }) => {
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        return signal.aborted;
+      });
+
+      expect(queue.getTask(taskId).error_name).toBe('TimeoutError');
+      expect(queue.getTask(fastId).status).toBe('completed');
+    });
+
+    it('should apply the per-type timeout', async () => {
+      queue.define(
+        'slow',
+        async () => new Promise((resolve) => setTimeout(resolve, 60)),
+        { timeout: 20 }
+      );
+      const taskId = queue.add({}, { type: 'slow' });
+
+      await queue.processOnce();
+
+      expect(queue.getTask(taskId).error_name).toBe('TimeoutError');
+    });
+  });
+
+  describe('job context', () => {
+    it('should pass task metadata as the second handler argument', async () => {
+      const taskId = queue.add({ value: 1 });
+      let job;
+
+      await queue.processOnce(async (data, context) => {
+        job = context;
+        throw new Error('first attempt fails');
+      });
+      // Wait for the retry to become due
+      await new Promise((resolve) => setTimeout(resolve, 250));
+      await queue.processOnce(async (data, context) => {
+        job = context;
+      });
+
+      expect(job.id).toBe(taskId);
+      expect(job.attempt).toBe(2);
+      expect(job.maxRetries).toBe(2);
+      expect(job.createdAt).toBeInstanceOf(Date);
+      expect(Math.abs(job.createdAt.getTime() - Date.now())).toBeLessThan(5000);
+      expect(job.signal).toBeInstanceOf(AbortSignal);
+    });
+
+    it('should persist log lines with the attempt they were written in', async () => {
+      const taskId = queue.add({});
+
+      await queue.processOnce(async (data, job) => {
+        job.log('starting');
+        job.log({ rows: 3 });
+      });
+
+      const logs = queue.getLogs(taskId);
+      expect(logs.map((line) => line.message)).toEqual([
+        'starting',
+        '{"rows":3}',
+      ]);
+      expect(logs.every((line) => line.attempt === 1)).toBe(true);
+    });
+
+    it('should persist progress and emit progress events', async () => {
+      const taskId = queue.add({});
+      const progressEvents = [];
+      queue.on('progress', (info) => progressEvents.push(info));
+
+      let stored;
+      await queue.processOnce(async (data, job) => {
+        job.updateProgress(0.42, { rowsDone: 42 });
+        stored = queue.getTask(taskId);
+      });
+
+      expect(progressEvents).toEqual([
+        { taskId, progress: 0.42, data: { rowsDone: 42 } },
+      ]);
+      expect(stored.progress).toBe(0.42);
+      expect(JSON.parse(stored.progress_data)).toEqual({ rowsDone: 42 });
+      expect(queue.getTask(taskId).progress).toBe(0.42);
+    });
+
+    it('should reject progress that is not a number', async () => {
+      const taskId = queue.add({});
+
+      await queue.processOnce(async (data, job) => {
+        job.updateProgress('half');
+      });
+
+      expect(queue.getTask(taskId).error_message).toBe(
+        'Progress must be a finite number'
+      );
+    });
+
+    it('should extend the lease through the job', async () => {
+      const taskId = queue.add({});
+      let before;
+      let after;
+      let extended;
+
+      await queue.processOnce(async (data, job) => {
+        before = queue.getTask(taskId).lease_expires_at;
+        extended = job.extendLease(queue.leaseDuration * 2);
+        after = queue.getTask(taskId).lease_expires_at;
+      });
+
+      expect(extended).toBe(true);
+      expect(new Date(after).getTime()).toBeGreaterThan(
+        new Date(before).getTime()
+      );
+    });
+  });
+
+  describe('waitFor', () => {
+    it('should resolve with the result of a task processed in this process', async () => {
+      const taskId = queue.add({ value: 21 });
+      const waiting = queue.waitFor(taskId);
+
+      await queue.processOnce(async (data) => data.value * 2);
+
+      await expect(waiting).resolves.toEqual({
+        taskId,
+        status: 'completed',
+        result: 42,
+      });
+    });
+
+    it('should resolve right away for an already completed task', async () => {
+      const taskId = queue.add({});
+      await queue.processOnce(async () => ({ ok: true }));
+
+      await expect(queue.waitFor(taskId)).resolves.toEqual({
+        taskId,
+        status: 'completed',
+        result: { ok: true },
+      });
+    });
+
+    it('should reject with a TaskFailedError when the task is dead', async () => {
+      queue.define(
+        'flaky',
+        async () => {
+          throw new Error('boom');
+        },
+        { maxRetries: 0 }
+      );
+      const taskId = queue.add({}, { type: 'flaky' });
+      const waiting = queue.waitFor(taskId);
+
+      await queue.processOnce();
+
+      await expect(waiting).rejects.toBeInstanceOf(TaskFailedError);
+      await expect(waiting).rejects.toThrow(`Task ${taskId} failed: boom`);
+    });
+
+    it('should reject when the task is cancelled or missing', async () => {
+      const taskId = queue.add({});
+      const waiting = queue.waitFor(taskId);
+      queue.cancel(taskId);
+
+      await expect(waiting).rejects.toBeInstanceOf(CancelledError);
+      await expect(queue.waitFor(9999)).rejects.toThrow('Task 9999 not found');
+    });
+
+    it('should share listeners and polling between many waiters', async () => {
+      const warnings = [];
+      const onWarning = (warning) => warnings.push(warning);
+      process.on('warning', onWarning);
+
+      try {
+        const taskIds = Array.from({ length: 15 }, (_, i) =>
+          queue.add({ value: i })
+        );
+        const waiting = Promise.all([
+          ...taskIds.map((id) => queue.waitFor(id)),
+          queue.waitFor(taskIds[0]),
+        ]);
+        expect(queue.listenerCount('completed')).toBe(1);
+        expect(queue.listenerCount('failed')).toBe(1);
+        expect(queue.listenerCount('cancelled')).toBe(1);
+
+        for (let i = 0; i < taskIds.length; i++) {
+          await queue.processOnce(async (data) => data.value);
+        }
+
+        const results = await waiting;
+        expect(results.map((r) => r.result)).toEqual([
+          ...taskIds.map((_, i) => i),
+          0,
+        ]);
+        expect(queue.listenerCount('completed')).toBe(0);
+        expect(queue.waitTimer).toBeNull();
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(warnings).toEqual([]);
+      } finally {
+        process.off('warning', onWarning);
+      }
+    });
+
+    it('should reject when the timeout elapses', async () => {
+      await expect(queue.addAndWait({}, { timeout: 20 })).rejects.toThrow(
+        /Timed out after 20ms waiting for task \d+/
+      );
+    });
+
+    it('should reject pending waits when the queue is closed', async () => {
+      const closingQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+      });
+      const waiting = closingQueue.waitFor(closingQueue.add({}));
+
+      await closingQueue.close();
+
+      await expect(waiting).rejects.toThrow('Queue closed');
+    });
+  });
+
+  describe('cancel', () => {
+    it('should cancel a pending task so it never runs', async () => {
+      const taskId = queue.add({ value: 1 });
+      const cancelEvents = [];
+      queue.on('cancelled', (info) => cancelEvents.push(info));
+
+      expect(queue.cancel(taskId)).toBe(true);
+
+      let ran = false;
+      await queue.processOnce(async () => {
+        ran = true;
+      });
+
+      expect(ran).toBe(false);
+      expect(queue.getTask(taskId).status).toBe('cancelled');
+      expect(cancelEvents).toEqual([
+        { taskId, taskData: { value: 1 }, previousStatus: 'pending' },
+      ]);
+    });
+
+    it('should abort the signal of a running handler and discard its outcome', async () => {
+      const taskId = queue.add({});
+      let signalReason;
+
+      const processing = queue.processOnce(async (data, { signal }) => {
+        signal.addEventListener('abort', () => {
+          signalReason = signal.reason;
+        });
+        await new Promise(() => {});
+      });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(queue.cancel(taskId)).toBe(true);
+      await processing;
+
+      expect(signalReason).toBeInstanceOf(CancelledError);
+      expect(queue.status.currentRunning).toBe(0);
+      const task = queue.getTask(taskId);
+      expect(task.status).toBe('cancelled');
+      expect(task.retry_count).toBe(0);
+      expect(queue.getAttempts(taskId)[0].outcome).toBe('cancelled');
+    });
+
+    it('should return false for unknown or finished tasks', async () => {
+      const taskId = queue.add({});
+      await queue.processOnce(async () => 'done');
+
+      expect(queue.cancel(taskId)).toBe(false);
+      expect(queue.cancel(9999)).toBe(false);
+      expect(queue.getTask(taskId).status).toBe('completed');
+    });
+  });
+
+  describe('exponential backoff', () => {
+    it('should calculate correct retry delays', async () => {
+      queue.add({ fail: true });
+
+      const retryEvents = [];
+      queue.on('retried', (info) => {
+        retryEvents.push(info);
+      });
+
+      // First failure
+      await queue.processOnce(async () => {
+        throw new Error('Fail');
+      });
+
+      // Wait and process again
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      await queue.processOnce(async () => {
+        throw new Error('Fail again');
+      });
+
+      expect(retryEvents).toHaveLength(2);
+
+      // First retry should have delay around baseRetryDelay (100ms) - allow for jitter
+      expect(retryEvents[0].delay).toBeGreaterThan(50);
+      expect(retryEvents[0].delay).toBeLessThan(200);
+
+      // Second retry should have delay around baseRetryDelay * 2 (200ms) - allow for jitter
+      expect(retryEvents[1].delay).toBeGreaterThan(100);
+      expect(retryEvents[1].delay).toBeLessThan(400);
+    });
+  });
+
+  describe('lifecycle events', () => {
+    it('should emit active with the attempt number', async () => {
+      const active = [];
+      queue.on('active', (info) => active.push(info));
+      const taskId = queue.add({ value: 1 }, { type: 'email' });
+      queue.define('email', async () => {
+        throw new Error('Fail');
+      });
+
+      await queue.processOnce();
+      queue.db.run('UPDATE queue SET next_retry_at = ? WHERE id = ?', [
+        new Date(Date.now() - 1000).toISOString(),
+        taskId,
+      ]);
+      await queue.processOnce();
+
+      expect(active).toEqual([
+        {
+          taskId,
+          taskData: { value: 1 },
+          type: 'email',
+          attempt: 1,
+          workerId: queue.workerId,
+        },
+        expect.objectContaining({ taskId, attempt: 2 }),
+      ]);
+    });
+
+    it('should include the task type, attempt and worker in outcome events', async () => {
+      const events = [];
+      for (const event of ['completed', 'retried', 'failed']) {
+        queue.on(event, (info) => events.push({ event, ...info }));
+      }
+      queue.define(
+        'email',
+        async (data, job) => {
+          if (job.attempt === 1) {
+            throw new Error('Fail');
+          }
+          return 'sent';
+        },
+        { maxRetries: 1 }
+      );
+      queue.define(
+        'sms',
+        async () => {
+          throw new Error('Fail');
+        },
+        { maxRetries: 0 }
+      );
+      const emailId = queue.add({}, { type: 'email' });
+      const smsId = queue.add({}, { type: 'sms' });
+
+      await queue.processOnce();
+      queue.db.run('UPDATE queue SET next_retry_at = ? WHERE id = ?', [
+        new Date(Date.now() - 1000).toISOString(),
+        emailId,
+      ]);
+      await queue.processOnce();
+
+      const workerId = queue.workerId;
+      expect(events).toHaveLength(3);
+      expect(events).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            event: 'retried',
+            taskId: emailId,
+            type: 'email',
+            attempt: 1,
+            workerId,
+            retryCount: 1,
+          }),
+          expect.objectContaining({
+            event: 'failed',
+            taskId: smsId,
+            type: 'sms',
+            attempt: 1,
+            workerId,
+            retryCount: 1,
+          }),
+          expect.objectContaining({
+            event: 'completed',
+            taskId: emailId,
+            type: 'email',
+            attempt: 2,
+            workerId,
+            result: 'sent',
+          }),
+        ])
+      );
+    });
+
+    it('should emit attemptFailed for every failed attempt', async () => {
+      const events = [];
+      queue.on('attemptFailed', (info) => events.push(['attemptFailed', info]));
+      queue.on('retried', () => events.push(['retried']));
+      queue.on('failed', () => events.push(['failed']));
+      const taskId = queue.add({ value: 1 });
+
+      for (let i = 0; i < 3; i++) {
+        queue.db.run('UPDATE queue SET next_retry_at = ? WHERE id = ?', [
+          new Date(Date.now() - 1000).toISOString(),
+          taskId,
+        ]);
+        await queue.processOnce(async () => {
+          throw new Error(`Fail ${i + 1}`);
+        });
+      }
+
+      expect(events.map(([name]) => name)).toEqual([
+        'attemptFailed',
+        'retried',
+        'attemptFailed',
+        'retried',
+        'attemptFailed',
+        'failed',
+      ]);
+      expect(events[0][1]).toEqual({
+        taskId,
+        taskData: { value: 1 },
+        type: null,
+        attempt: 1,
+        workerId: queue.workerId,
+        error: 'Fail 1',
+        outcome: 'failed',
+        willRetry: true,
+      });
+      expect(events[4][1]).toMatchObject({ attempt: 3, willRetry: false });
+    });
+
+    it('should emit drained once after the last runnable task finished', async () => {
+      const drained = [];
+      queue.on('drained', (info) => drained.push(info));
+
+      await queue.processOnce(async () => {});
+      expect(drained).toHaveLength(0);
+
+      queue.add({});
+      queue.add({});
+      queue.add({}, { delay: 60_000 });
+      await queue.processOnce(async () => {});
+      await queue.processOnce(async () => {});
+
+      expect(drained).toEqual([{ workerId: queue.workerId }]);
+    });
+
+    it('should emit idle when auto-processing has nothing left to wait for', async () => {
+      const autoQueue = new Queue({ dbPath: ':memory:', pollingInterval: 50 });
+      const idle = [];
+      autoQueue.on('idle', (info) => idle.push(info));
+
+      await autoQueue.process(async () => {});
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(idle).toEqual([{ workerId: autoQueue.workerId }]);
+
+      autoQueue.add({}, { delay: 30 });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(idle).toHaveLength(1);
+
+      await new Promise((resolve) => setTimeout(resolve, 80));
+      await autoQueue.close();
+      expect(idle).toHaveLength(2);
+    });
+
+    it('should not emit idle while a task added during a batch is ready', async () => {
+      const autoQueue = new Queue({ dbPath: ':memory:' });
+      const pendingAtIdle = [];
+      autoQueue.on('idle', () =>
+        pendingAtIdle.push(
+          autoQueue.getStats().find((s) => s.status === 'pending')?.count ?? 0
+        )
+      );
+      await autoQueue.process(async (data) => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        if (data.value === 1) {
+          autoQueue.add({ value: 2 });
+        }
+      });
+      autoQueue.add({ value: 1 });
+
+      await autoQueue.drain();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await autoQueue.close();
+
+      expect(pendingAtIdle.length).toBeGreaterThan(0);
+      expect(pendingAtIdle.every((count) => count === 0)).toBe(true);
+    });
+  });
+
+  describe('graceful shutdown', () => {
+    it('should wait for handlers that finish before the timeout', async () => {
+      let finished = false;
+      queue.add({});
+      const processing = queue.processOnce(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        finished = true;
+      });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      await queue.close({ timeout: 1000 });
+      await processing;
+
+      expect(finished).toBe(true);
+    });
+
+    /**
+     * Starts a handler that ignores its signal, closes the worker with a short timeout and returns
+     * the abort reason, the 'retried' events and the task row and attempts read back from the file.
+     */
+    const shutDownWhileRunning = async (dbPath, worker, taskId) => {
+      const retried = [];
+      worker.on('retried', (info) => retried.push(info));
+      let reason;
+      const processing = worker.processOnce(async (data, { signal }) => {
+        signal.addEventListener('abort', () => (reason = signal.reason));
+        await new Promise(() => {}); // ignores the signal
+      });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      const started = Date.now();
+      await worker.close({ timeout: 50 });
+      await processing;
+      const elapsed = Date.now() - started;
+
+      const inspector = new Queue({ dbPath, autoProcess: false });
+      const task = inspector.getTask(taskId);
+      const attempts = inspector.getAttempts(taskId);
+      await inspector.close();
+      return { reason, retried, task, attempts, elapsed };
+    };
+
+    it('should abort handlers past the timeout and make their tasks ready again', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'litequu-'));
+      const dbPath = join(dir, 'queue.db');
+      const worker = new Queue({ dbPath, autoProcess: false });
+
+      try {
+        const taskId = worker.add({});
+        const { reason, retried, task, attempts, elapsed } =
+          await shutDownWhileRunning(dbPath, worker, taskId);
+
+        expect(elapsed).toBeLessThan(500);
+        expect(reason).toBeInstanceOf(ShutdownError);
+        expect(retried).toEqual([
+          expect.objectContaining({ taskId, retryCount: 0, delay: 0 }),
+        ]);
+        expect(task.status).toBe('failed');
+        expect(task.retry_count).toBe(0);
+        expect(new Date(task.next_retry_at).getTime()).toBeLessThanOrEqual(
+          Date.now()
+        );
+        expect(attempts.map((a) => a.outcome)).toEqual(['shutdown']);
+      } finally {
+        await worker.close();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should not move a task on its last attempt to dead', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'litequu-'));
+      const dbPath = join(dir, 'queue.db');
+      const worker = new Queue({ dbPath, autoProcess: false, maxRetries: 1 });
+      const failed = [];
+      worker.on('failed', (info) => failed.push(info));
+
+      try {
+        const taskId = worker.add({});
+        await worker.processOnce(async () => {
+          throw new Error('Fail');
+        });
+        worker.db.run('UPDATE queue SET next_retry_at = ? WHERE id = ?', [
+          new Date(Date.now() - 1000).toISOString(),
+          taskId,
+        ]);
+
+        const { task, attempts } = await shutDownWhileRunning(
+          dbPath,
+          worker,
+          taskId
+        );
+
+        expect(failed).toHaveLength(0);
+        expect(task.status).toBe('failed');
+        expect(task.retry_count).toBe(1);
+        expect(new Date(task.next_retry_at).getTime()).toBeLessThanOrEqual(
+          Date.now()
+        );
+        expect(attempts.map((a) => a.outcome)).toEqual(['failed', 'shutdown']);
+      } finally {
+        await worker.close();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should stop claiming and return the same promise once closing', async () => {
+      queue.add({});
+      const closing = queue.close();
+      expect(queue.close()).toBe(closing);
+
+      let ran = false;
+      await queue.processOnce(async () => {
+        ran = true;
+      });
+      await closing;
+      expect(ran).toBe(false);
+    });
+
+    it('should close on handled signals and remove its listeners', async () => {
+      // Keeps the re-raised signal from terminating the test process
+      const keepAlive = () => {};
+      process.on('SIGUSR2', keepAlive);
+      const listeners = process.listenerCount('SIGUSR2');
+      const signalQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        handleSignals: ['SIGUSR2'],
+      });
+
+      try {
+        expect(process.listenerCount('SIGUSR2')).toBe(listeners + 1);
+        process.emit('SIGUSR2', 'SIGUSR2');
+        await signalQueue.closing;
+        // The signal is re-raised after every handling queue closed, while keepAlive is installed
+        await new Promise((resolve) => setImmediate(resolve));
+
+        expect(signalQueue.closing).not.toBeNull();
+        expect(process.listenerCount('SIGUSR2')).toBe(listeners);
+      } finally {
+        await signalQueue.close();
+        process.off('SIGUSR2', keepAlive);
+      }
+    });
+
+    it('should abort running handlers right away with a shutdownTimeout of 0', async () => {
+      const kill = vi.spyOn(process, 'kill').mockImplementation(() => true);
+      const signalQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        handleSignals: ['SIGUSR2'],
+        shutdownTimeout: 0,
+      });
+
+      try {
+        signalQueue.add({});
+        let reason;
+        const processing = signalQueue.processOnce(async (data, { signal }) => {
+          await new Promise((resolve) =>
+            signal.addEventListener('abort', resolve)
+          );
+          reason = signal.reason;
+        });
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        process.emit('SIGUSR2', 'SIGUSR2');
+        await signalQueue.closing;
+        await processing;
+
+        expect(reason).toBeInstanceOf(ShutdownError);
+      } finally {
+        await signalQueue.close();
+        kill.mockRestore();
+      }
+    });
+
+    it('should re-raise a signal only after every queue handling it has closed', async () => {
+      const kill = vi.spyOn(process, 'kill').mockImplementation(() => true);
+      const options = {
+        dbPath: ':memory:',
+        autoProcess: false,
+        handleSignals: ['SIGUSR2'],
+      };
+      const slowQueue = new Queue(options);
+      const idleQueue = new Queue(options);
+
+      try {
+        expect(process.listenerCount('SIGUSR2')).toBe(1);
+        slowQueue.add({});
+        let finished = false;
+        const processing = slowQueue.processOnce(async () => {
+          await new Promise((resolve) => setTimeout(resolve, 100));
+          finished = true;
+        });
+        await new Promise((resolve) => setTimeout(resolve, 10));
+
+        process.emit('SIGUSR2', 'SIGUSR2');
+        await idleQueue.closing;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        expect(kill).not.toHaveBeenCalled();
+
+        await processing;
+        await slowQueue.closing;
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(finished).toBe(true);
+        expect(kill).toHaveBeenCalledTimes(1);
+        expect(kill).toHaveBeenCalledWith(process.pid, 'SIGUSR2');
+        expect(process.listenerCount('SIGUSR2')).toBe(0);
+      } finally {
+        await slowQueue.close();
+        await idleQueue.close();
+        kill.mockRestore();
+      }
+    });
+  });
+
+  describe('drain', () => {
+    it('should resolve once all runnable tasks were processed', async () => {
+      const autoQueue = new Queue({ dbPath: ':memory:', pollingInterval: 50 });
+      const processed = [];
+      await autoQueue.process(async (data) => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        processed.push(data.value);
+      });
+      autoQueue.addBulk([{ value: 1 }, { value: 2 }, { value: 3 }]);
+      autoQueue.add({ value: 4 }, { delay: 60_000 });
+
+      await autoQueue.drain();
+      await autoQueue.close();
+
+      expect(processed.sort((a, b) => a - b)).toEqual([1, 2, 3]);
+    });
+
+    it('should process tasks added by a handler while its batch was running', async () => {
+      const autoQueue = new Queue({ dbPath: ':memory:' });
+      const processed = [];
+      await autoQueue.process(async (data) => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        if (data.value === 1) {
+          autoQueue.add({ value: 2 });
+        }
+        processed.push(data.value);
+      });
+      autoQueue.add({ value: 1 });
+
+      await autoQueue.drain();
+      await autoQueue.close();
+
+      expect(processed).toEqual([1, 2]);
+    });
+
+    it('should ignore tasks of paused types and types without a handler', async () => {
+      queue.define('email', async () => {});
+      queue.add({}, { type: 'email' });
+      queue.add({}, { type: 'unknown' });
+      await queue.pause({ type: 'email' });
+
+      await queue.drain();
+    });
+  });
+
+  describe('pause and resume', () => {
+    it('should not claim tasks while paused', async () => {
+      const events = [];
+      queue.on('paused', (info) => events.push(['paused', info]));
+      queue.on('resumed', (info) => events.push(['resumed', info]));
+      const taskId = queue.add({});
+
+      await queue.pause();
+      await queue.pause();
+      expect(queue.isPaused()).toBe(true);
+
+      let runs = 0;
+      const handler = async () => {
+        runs++;
+      };
+      await queue.processOnce(handler);
+      expect(runs).toBe(0);
+      expect(queue.getTask(taskId).status).toBe('pending');
+
+      queue.resume();
+      queue.resume();
+      expect(queue.isPaused()).toBe(false);
+      await queue.processOnce(handler);
+
+      expect(runs).toBe(1);
+      expect(events).toEqual([
+        ['paused', { type: null }],
+        ['resumed', { type: null }],
+      ]);
+    });
+
+    it('should pause a single task type', async () => {
+      const ran = [];
+      queue.define('email', async () => ran.push('email'));
+      queue.define('sms', async () => ran.push('sms'));
+      queue.add({}, { type: 'email' });
+      queue.add({}, { type: 'sms' });
+
+      await queue.pause({ type: 'email' });
+      expect(queue.isPaused('email')).toBe(true);
+      expect(queue.isPaused('sms')).toBe(false);
+      expect(queue.isPaused()).toBe(false);
+      await queue.processOnce();
+      expect(ran).toEqual(['sms']);
+
+      queue.resume({ type: 'email' });
+      await queue.processOnce();
+      expect(ran).toEqual(['sms', 'email']);
+    });
+
+    it('should wait for running tasks when draining', async () => {
+      let finish;
+      queue.add({});
+      const processing = queue.processOnce(
+        () => new Promise((resolve) => (finish = resolve))
+      );
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      let drained = false;
+      const pausing = queue.pause({ drain: true }).then(() => {
+        drained = true;
+      });
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      expect(drained).toBe(false);
+
+      finish();
+      await processing;
+      await pausing;
+      expect(drained).toBe(true);
+    });
+
+    it('should resume auto-processing right away', async () => {
+      const autoQueue = new Queue({
+        dbPath: ':memory:',
+        pollingInterval: 10_000,
+      });
+      const processed = [];
+      await autoQueue.pause();
+      await autoQueue.process(async (data) => processed.push(data.value));
+      autoQueue.add({ value: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(processed).toEqual([]);
+
+      autoQueue.resume();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await autoQueue.close();
+
+      expect(processed).toEqual([1]);
+    });
+  });
+
+  describe('backoff strategies', () => {
+    /**
+     * Fails a task's attempts one after another, making each retry due right away, and returns
+     * the 'retried' events. Handlers registered with define() must throw themselves.
+     */
+    const failAttempts = async (q, attempts, error = new Error('Fail')) => {
+      const retried = [];
+      q.on('retried', (info) => retried.push(info));
+      for (let i = 0; i < attempts; i++) {
+        q.db.run("UPDATE queue SET next_retry_at = ? WHERE status = 'failed'", [
+          new Date(Date.now() - 1000).toISOString(),
+        ]);
+        await q.processOnce(async () => {
+          throw error;
+        });
+      }
+      return retried;
+    };
+    const fail = async () => {
+      throw new Error('Fail');
+    };
+
+    it('should reject unknown strategies', () => {
+      expect(
+        () => new Queue({ dbPath: ':memory:', backoff: 'random' })
+      ).toThrow('Invalid backoff: random');
+      expect(() =>
+        queue.define('email', async () => {}, { backoff: 'random' })
+      ).toThrow('Invalid backoff: random');
+    });
+
+    it('should compute linear and fixed delays', async () => {
+      const linearQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        baseRetryDelay: 100,
+        maxRetries: 5,
+        jitter: false,
+        backoff: 'linear',
+      });
+      linearQueue.add({});
+      const linear = await failAttempts(linearQueue, 3);
+      await linearQueue.close();
+      expect(linear.map((event) => event.delay)).toEqual([100, 200, 300]);
+
+      queue.define('poll', fail, { backoff: 'fixed' });
+      queue.add({}, { type: 'poll' });
+      const fixed = await failAttempts(queue, 2);
+      expect(fixed.map((event) => event.delay)).toEqual([
+        expect.any(Number),
+        expect.any(Number),
+      ]);
+      for (const { delay } of fixed) {
+        expect(delay).toBeGreaterThanOrEqual(50);
+        expect(delay).toBeLessThanOrEqual(100);
+      }
+    });
+
+    it('should cap delays at maxRetryDelay', async () => {
+      const cappedQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        baseRetryDelay: 100,
+        maxRetries: 5,
+        jitter: false,
+        maxRetryDelay: 250,
+      });
+      cappedQueue.add({});
+      const retried = await failAttempts(cappedQueue, 4);
+      await cappedQueue.close();
+
+      expect(retried.map((event) => event.delay)).toEqual([100, 200, 250, 250]);
+    });
+
+    it('should grow decorrelated jitter from the previous delay', async () => {
+      const jitterQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        baseRetryDelay: 100,
+        maxRetries: 5,
+        backoff: 'decorrelated-jitter',
+      });
+      const taskId = jitterQueue.add({});
+      const retried = await failAttempts(jitterQueue, 3);
+      const lastDelay = jitterQueue.getTask(taskId).retry_delay_ms;
+      await jitterQueue.close();
+
+      let previous = 100;
+      for (const { delay } of retried) {
+        expect(delay).toBeGreaterThanOrEqual(100);
+        expect(delay).toBeLessThanOrEqual(previous * 3);
+        previous = delay;
+      }
+      expect(lastDelay).toBe(previous);
+    });
+
+    it('should call a custom backoff function with attempt, error and task', async () => {
+      const calls = [];
+      queue.define('sync', fail, {
+        backoff: (attempt, error, task) => {
+          calls.push({ attempt, message: error.message, taskId: task.id });
+          return attempt * 1000;
+        },
+      });
+      const taskId = queue.add({}, { type: 'sync' });
+      const retried = await failAttempts(queue, 2);
+
+      expect(calls).toEqual([
+        { attempt: 1, message: 'Fail', taskId },
+        { attempt: 2, message: 'Fail', taskId },
+      ]);
+      expect(retried.map((event) => event.delay)).toEqual([1000, 2000]);
+    });
+
+    it('should fall back to exponential backoff when the custom function fails', async () => {
+      const errors = [];
+      queue.on('error', (info) => errors.push(info));
+      queue.define('sync', fail, { backoff: () => NaN });
+      queue.add({}, { type: 'sync' });
+      const [retried] = await failAttempts(queue, 1);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].operation).toBe('backoff');
+      expect(retried.delay).toBeGreaterThanOrEqual(50);
+      expect(retried.delay).toBeLessThanOrEqual(100);
+    });
+
+    it('should retry after the delay given by a RetryAfterError', async () => {
+      const taskId = queue.add({});
+      const error = new RetryAfterError(5000);
+      const [retried] = await failAttempts(queue, 1, error);
+
+      expect(error.message).toBe('Retry after 5000ms');
+      expect(retried.delay).toBe(5000);
+      expect(retried.retryCount).toBe(1);
+      expect(queue.getTask(taskId).error_name).toBe('RetryAfterError');
+    });
+
+    it('should still count RetryAfterError attempts toward maxRetries', async () => {
+      const failed = [];
+      queue.on('failed', (info) => failed.push(info));
+      const taskId = queue.add({});
+      await failAttempts(queue, 3, new RetryAfterError(10));
+
+      expect(failed).toHaveLength(1);
+      expect(queue.getTask(taskId).status).toBe('dead');
+    });
+  });
+
+  describe('non-retryable errors', () => {
+    it('should move a task to dead on the first UnrecoverableError', async () => {
+      const failed = [];
+      const retried = [];
+      queue.on('failed', (info) => failed.push(info));
+      queue.on('retried', (info) => retried.push(info));
+      const taskId = queue.add({});
+
+      await queue.processOnce(async () => {
+        throw new UnrecoverableError('HTTP 404');
+      });
+
+      expect(retried).toHaveLength(0);
+      expect(failed).toEqual([
+        expect.objectContaining({ taskId, error: 'HTTP 404', retryCount: 1 }),
+      ]);
+      const task = queue.getTask(taskId);
+      expect(task.status).toBe('dead');
+      expect(task.error_name).toBe('UnrecoverableError');
+    });
+
+    it('should not retry errors rejected by retryIf', async () => {
+      const calls = [];
+      const retryQueue = new Queue({
+        dbPath: ':memory:',
+        autoProcess: false,
+        maxRetries: 2,
+        retryIf: (error, task) => {
+          calls.push({ message: error.message, taskId: task.id });
+          return error.status !== 400;
+        },
+      });
+      const badRequest = retryQueue.add({ status: 400 });
+      const serverError = retryQueue.add({ status: 500 });
+
+      await retryQueue.processOnce(async ({ status }) => {
+        throw Object.assign(new Error(`HTTP ${status}`), { status });
+      });
+      const statuses = [
+        retryQueue.getTask(badRequest).status,
+        retryQueue.getTask(serverError).status,
+      ];
+      await retryQueue.close();
+
+      expect(statuses).toEqual(['dead', 'failed']);
+      expect(calls).toEqual(
+        expect.arrayContaining([
+          { message: 'HTTP 400', taskId: badRequest },
+          { message: 'HTTP 500', taskId: serverError },
+        ])
+      );
+    });
+
+    it('should apply a per-type retryIf', async () => {
+      queue.define(
+        'webhook',
+        async () => {
+          throw new Error('Gone');
+        },
+        { retryIf: () => false }
+      );
+      const typed = queue.add({}, { type: 'webhook' });
+      const untyped = queue.add({});
+
+      await queue.processOnce(async () => {
+        throw new Error('Fail');
+      });
+
+      expect(queue.getTask(typed).status).toBe('dead');
+      expect(queue.getTask(untyped).status).toBe('failed');
+    });
+
+    it('should retry when retryIf throws', async () => {
+      const errors = [];
+      queue.on('error', (info) => errors.push(info));
+      queue.define(
+        'webhook',
+        async () => {
+          throw new Error('Fail');
+        },
+        {
+          retryIf: () => {
+            throw new Error('Broken predicate');
+          },
+        }
+      );
+      const taskId = queue.add({}, { type: 'webhook' });
+
+      await queue.processOnce();
+
+      expect(queue.getTask(taskId).status).toBe('failed');
+      expect(errors).toHaveLength(1);
+      expect(errors[0].operation).toBe('retryIf');
+    });
+
+    it('should reject a retryIf that is not a function', () => {
+      expect(() => new Queue({ dbPath: ':memory:', retryIf: true })).toThrow(
+        'retryIf must be a function'
+      );
     });
   });
 
@@ -0,0 +1,187 @@
+import { describe, beforeEach, afterEach, it, expect } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Queue from '../src/queue.js';
+
+describe('Repeatable tasks', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new Queue({ dbPath: ':memory:', autoProcess: false });
+  });
+
+  afterEach(async () => {
+    await queue.close();
+  });
+
+  /**
+   * Moves a schedule's next occurrence into the past, as if the process had been down.
+   */
+  const makeOverdue = (q, name, msAgo) => {
+    q.db.run('UPDATE schedules SET next_run_at = ? WHERE name = ?', [
+      new Date(Date.now() - msAgo).toISOString(),
+      name,
+    ]);
+  };
+
+  describe('repeat', () => {
+    it('should persist the schedule definition', () => {
+      const before = Date.now();
+      const schedule = queue.repeat(
+        'heartbeat',
+        { every: 60_000 },
+        { ping: true }
+      );
+
+      expect(schedule.name).toBe('heartbeat');
+      expect(schedule.every_ms).toBe(60_000);
+      expect(JSON.parse(schedule.task_data)).toEqual({ ping: true });
+      expect(new Date(schedule.next_run_at).getTime()).toBeGreaterThanOrEqual(
+        before + 60_000
+      );
+      expect(queue.getRepeats()).toHaveLength(1);
+    });
+
+    it('should evaluate cron expressions in the given timezone', () => {
+      const schedule = queue.repeat(
+        'nightly',
+        '0 9 * * *',
+        {},
+        { timezone: 'America/New_York' }
+      );
+
+      const next = new Date(schedule.next_run_at);
+      // 9:00 in New York is 13:00 or 14:00 UTC depending on daylight saving time
+      expect([13, 14]).toContain(next.getUTCHours());
+      expect(next.getUTCMinutes()).toBe(0);
+    });
+
+    it('should keep the next occurrence when re-registered with the same timing', () => {
+      queue.repeat('report', '*/5 * * * *', { v: 1 });
+      makeOverdue(queue, 'report', 1000);
+      const overdue = queue.db.getSchedule('report').next_run_at;
+
+      const updated = queue.repeat('report', '*/5 * * * *', { v: 2 });
+      expect(updated.next_run_at).toBe(overdue);
+      expect(JSON.parse(updated.task_data)).toEqual({ v: 2 });
+    });
+
+    it('should reschedule when the timing changes', () => {
+      queue.repeat('report', '*/5 * * * *', {});
+      makeOverdue(queue, 'report', 1000);
+
+      const updated = queue.repeat('report', { every: 60_000 }, {});
+      expect(new Date(updated.next_run_at).getTime()).toBeGreaterThan(
+        Date.now()
+      );
+    });
+
+    it('should reject invalid definitions', () => {
+      expect(() => queue.repeat('bad', 'not a cron', {})).toThrow(
+        'Invalid cron expression'
+      );
+      expect(() => queue.repeat('bad', { every: 0 }, {})).toThrow(
+        'Repeat interval'
+      );
+      expect(() =>
+        queue.repeat('bad', '* * * * *', {}, { timezone: 'Mars/Base' })
+      ).toThrow('Invalid timezone');
+      expect(() =>
+        queue.repeat('bad', '* * * * *', {}, { catchUp: 'sometimes' })
+      ).toThrow('Invalid catch-up policy');
+    });
+
+    it('should remove schedules', () => {
+      queue.repeat('temp', { every: 1000 }, {});
+      expect(queue.removeRepeat('temp')).toBe(true);
+      expect(queue.removeRepeat('temp')).toBe(false);
+      expect(queue.getRepeats()).toHaveLength(0);
+    });
+  });
+
+  describe('materialization', () => {
+    it('should enqueue a task when an occurrence is due', async () => {
+      queue.repeat('sync', { every: 60_000 }, { sync: true }, { priority: 3 });
+      makeOverdue(queue, 'sync', 10);
+
+      const added = [];
+      queue.on('added', (info) => added.push(info));
+      const processed = [];
+      await queue.processOnce(async (data) => processed.push(data));
+
+      expect(added).toHaveLength(1);
+      expect(added[0].repeat).toBe('sync');
+      expect(processed).toEqual([{ sync: true }]);
+      expect(queue.getTask(added[0].taskId).priority).toBe(3);
+
+      const schedule = queue.db.getSchedule('sync');
+      expect(new Date(schedule.next_run_at).getTime()).toBeGreaterThan(
+        Date.now()
+      );
+    });
+
+    it('should coalesce missed occurrences with the latest catch-up policy', async () => {
+      queue.repeat('sync', { every: 1000 }, {});
+      makeOverdue(queue, 'sync', 10_500);
+
+      await queue.processOnce(async () => 'ok');
+
+      const stats = queue.getStats();
+      expect(stats).toEqual([{ status: 'completed', count: 1 }]);
+    });
+
+    it('should enqueue every missed occurrence with the all catch-up policy', async () => {
+      queue.repeat('sync', { every: 1000 }, {}, { catchUp: 'all' });
+      makeOverdue(queue, 'sync', 10_500);
+
+      const added = [];
+      queue.on('added', (info) => added.push(info));
+      await queue.processOnce(async () => 'ok');
+
+      expect(added).toHaveLength(11);
+      const runTimes = added.map((a) => queue.getTask(a.taskId).run_at);
+      expect(new Set(runTimes).size).toBe(11);
+    });
+
+    it('should materialize each occurrence once across processes', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'litequu-'));
+      const dbPath = join(dir, 'shared.db');
+      const first = new Queue({ dbPath, autoProcess: false });
+      const second = new Queue({ dbPath, autoProcess: false });
+
+      try {
+        first.repeat('sync', { every: 60_000 }, {});
+        second.repeat('sync', { every: 60_000 }, {});
+        makeOverdue(first, 'sync', 10);
+
+        const processed = [];
+        await Promise.all([
+          first.processOnce(async () => processed.push('first')),
+          second.processOnce(async () => processed.push('second')),
+        ]);
+
+        expect(processed).toHaveLength(1);
+      } finally {
+        await first.close();
+        await second.close();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should wake up for the next occurrence when auto-processing', async () => {
+      const autoQueue = new Queue({ dbPath: ':memory:', autoProcess: true });
+      const processed = [];
+
+      try {
+        await autoQueue.process(async () => processed.push(Date.now()));
+        autoQueue.repeat('tick', { every: 40 }, {});
+
+        await new Promise((resolve) => setTimeout(resolve, 150));
+        expect(processed.length).toBeGreaterThanOrEqual(2);
+      } finally {
+        await autoQueue.close();
+      }
+    });
+  });
+});
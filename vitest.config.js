@@ -1,8 +1,9 @@
-import { defineConfig } from "vitest/config";
+import { configDefaults, defineConfig } from "vitest/config";
 
 export default defineConfig({
   test: {
     include: ["tests/**/*.js"],
+    exclude: [...configDefaults.exclude, "tests/fixtures/**"],
     globals: false,
     environment: "node",
   },